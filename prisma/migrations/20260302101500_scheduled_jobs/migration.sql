@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('PENDING', 'RUNNING', 'DONE', 'CANCELED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "key" TEXT,
+    "payload" JSONB,
+    "runAt" TIMESTAMP(3) NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "lockedAt" TIMESTAMP(3),
+    "rideRequestId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledJob_key_key" ON "ScheduledJob"("key");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_status_runAt_idx" ON "ScheduledJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_rideRequestId_idx" ON "ScheduledJob"("rideRequestId");
+
+-- AddForeignKey
+ALTER TABLE "ScheduledJob" ADD CONSTRAINT "ScheduledJob_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "dispatchPolicyId" INTEGER,
+ADD COLUMN     "region" TEXT,
+ALTER COLUMN "searchRadiusKm" SET DEFAULT 5,
+ALTER COLUMN "searchRadiusKm" SET DATA TYPE DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "DispatchPolicy" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "region" TEXT,
+    "centerLat" DOUBLE PRECISION,
+    "centerLng" DOUBLE PRECISION,
+    "areaRadiusKm" DOUBLE PRECISION,
+    "phases" JSONB NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DispatchPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DispatchPolicy_region_key" ON "DispatchPolicy"("region");
+
+-- AddForeignKey
+ALTER TABLE "RideRequest" ADD CONSTRAINT "RideRequest_dispatchPolicyId_fkey" FOREIGN KEY ("dispatchPolicyId") REFERENCES "DispatchPolicy"("id") ON DELETE SET NULL ON UPDATE CASCADE;
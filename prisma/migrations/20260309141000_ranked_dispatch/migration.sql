@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "DispatchMode" AS ENUM ('BROADCAST', 'RANKED');
+
+-- AlterTable
+ALTER TABLE "DispatchPolicy" ADD COLUMN     "dispatchMode" "DispatchMode" NOT NULL DEFAULT 'BROADCAST',
+ADD COLUMN     "waveSizes" JSONB,
+ADD COLUMN     "waveTtlSeconds" INTEGER;
+
+-- AlterTable
+ALTER TABLE "RideOffer" ADD COLUMN     "phase" INTEGER,
+ADD COLUMN     "rank" INTEGER,
+ADD COLUMN     "score" DOUBLE PRECISION,
+ADD COLUMN     "wave" INTEGER;
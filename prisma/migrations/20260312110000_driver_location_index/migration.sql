@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Driver_lat_lng_idx" ON "Driver"("lat", "lng");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "RideOffer" ADD COLUMN     "rejectReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "RideOffer_rideRequestId_phase_idx" ON "RideOffer"("rideRequestId", "phase");
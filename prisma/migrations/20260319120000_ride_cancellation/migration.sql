@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "CancelActor" AS ENUM ('CUSTOMER', 'DRIVER', 'SYSTEM');
+
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "canceledAt" TIMESTAMP(3),
+ADD COLUMN     "canceledBy" "CancelActor",
+ADD COLUMN     "cancellationFee" DOUBLE PRECISION;
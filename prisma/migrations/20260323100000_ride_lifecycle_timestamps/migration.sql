@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "acceptedAt" TIMESTAMP(3),
+ADD COLUMN     "arrivedAt" TIMESTAMP(3),
+ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "startedAt" TIMESTAMP(3);
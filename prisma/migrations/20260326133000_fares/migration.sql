@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "estimatedDistanceKm" DOUBLE PRECISION,
+ADD COLUMN     "estimatedFare" DOUBLE PRECISION,
+ADD COLUMN     "fareBreakdown" JSONB,
+ADD COLUMN     "finalDistanceKm" DOUBLE PRECISION,
+ADD COLUMN     "finalFare" DOUBLE PRECISION,
+ADD COLUMN     "tariffId" INTEGER,
+ADD COLUMN     "waitingMinutes" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "Tariff" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "region" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'TRY',
+    "openingFee" DOUBLE PRECISION NOT NULL,
+    "perKm" DOUBLE PRECISION NOT NULL,
+    "perWaitingMinute" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "minimumFare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "nightMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "nightStartHour" INTEGER NOT NULL DEFAULT 0,
+    "nightEndHour" INTEGER NOT NULL DEFAULT 6,
+    "holidayMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "holidays" JSONB,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Tariff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tariff_region_key" ON "Tariff"("region");
+
+-- AddForeignKey
+ALTER TABLE "RideRequest" ADD CONSTRAINT "RideRequest_tariffId_fkey" FOREIGN KEY ("tariffId") REFERENCES "Tariff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
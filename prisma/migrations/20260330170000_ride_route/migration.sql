@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "travelledDistanceKm" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "RideLocationPoint" (
+    "id" SERIAL NOT NULL,
+    "rideRequestId" INTEGER NOT NULL,
+    "driverId" INTEGER NOT NULL,
+    "lat" DOUBLE PRECISION NOT NULL,
+    "lng" DOUBLE PRECISION NOT NULL,
+    "accuracy" DOUBLE PRECISION,
+    "speed" DOUBLE PRECISION,
+    "heading" DOUBLE PRECISION,
+    "rideStatus" "RideStatus" NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RideLocationPoint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RideLocationPoint_rideRequestId_recordedAt_idx" ON "RideLocationPoint"("rideRequestId", "recordedAt");
+
+-- CreateIndex
+CREATE INDEX "RideLocationPoint_driverId_idx" ON "RideLocationPoint"("driverId");
+
+-- AddForeignKey
+ALTER TABLE "RideLocationPoint" ADD CONSTRAINT "RideLocationPoint_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RideLocationPoint" ADD CONSTRAINT "RideLocationPoint_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE CASCADE ON UPDATE CASCADE;
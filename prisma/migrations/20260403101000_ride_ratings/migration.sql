@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "RatingSide" AS ENUM ('CUSTOMER', 'DRIVER');
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "ratingAvg" DOUBLE PRECISION,
+ADD COLUMN     "ratingCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "ratingAvg" DOUBLE PRECISION,
+ADD COLUMN     "ratingCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "RideRating" (
+    "id" SERIAL NOT NULL,
+    "rideRequestId" INTEGER NOT NULL,
+    "raterType" "RatingSide" NOT NULL,
+    "driverId" INTEGER,
+    "userId" INTEGER,
+    "stars" INTEGER NOT NULL,
+    "tags" TEXT[],
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RideRating_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RideRating_driverId_idx" ON "RideRating"("driverId");
+
+-- CreateIndex
+CREATE INDEX "RideRating_userId_idx" ON "RideRating"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RideRating_rideRequestId_raterType_key" ON "RideRating"("rideRequestId", "raterType");
+
+-- AddForeignKey
+ALTER TABLE "RideRating" ADD CONSTRAINT "RideRating_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RideRating" ADD CONSTRAINT "RideRating_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RideRating" ADD CONSTRAINT "RideRating_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
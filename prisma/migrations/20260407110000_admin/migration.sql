@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "DriverAccountStatus" AS ENUM ('PENDING', 'APPROVED', 'SUSPENDED');
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "status" "DriverAccountStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN     "statusReason" TEXT;
+
+-- Mevcut sürücüler zaten çağrı alıyordu: onaylı say
+UPDATE "Driver" SET "status" = 'APPROVED';
+
+-- AlterTable
+ALTER TABLE "RideOffer" ADD COLUMN     "dispatchedByAdminId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Admin" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastLoginAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Admin_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdminAuditLog" (
+    "id" SERIAL NOT NULL,
+    "adminId" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT,
+    "targetId" INTEGER,
+    "payload" JSONB,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Admin_email_key" ON "Admin"("email");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_adminId_idx" ON "AdminAuditLog"("adminId");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_targetType_targetId_idx" ON "AdminAuditLog"("targetType", "targetId");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_createdAt_idx" ON "AdminAuditLog"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "RideOffer" ADD CONSTRAINT "RideOffer_dispatchedByAdminId_fkey" FOREIGN KEY ("dispatchedByAdminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AdminAuditLog" ADD CONSTRAINT "AdminAuditLog_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "DriverApplicationStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'NEEDS_INFO');
+
+-- CreateEnum
+CREATE TYPE "DriverDocumentType" AS ENUM ('LICENSE', 'ID_CARD', 'VEHICLE');
+
+-- CreateTable
+CREATE TABLE "DriverApplication" (
+    "id" SERIAL NOT NULL,
+    "driverId" INTEGER NOT NULL,
+    "status" "DriverApplicationStatus" NOT NULL DEFAULT 'PENDING',
+    "fullName" TEXT NOT NULL,
+    "address" TEXT,
+    "vehiclePlate" TEXT NOT NULL,
+    "vehicleModel" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedByAdminId" INTEGER,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DriverApplication_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DriverDocument" (
+    "id" SERIAL NOT NULL,
+    "applicationId" INTEGER NOT NULL,
+    "type" "DriverDocumentType" NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "originalName" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DriverDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DriverApplication_driverId_key" ON "DriverApplication"("driverId");
+
+-- CreateIndex
+CREATE INDEX "DriverApplication_status_submittedAt_idx" ON "DriverApplication"("status", "submittedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DriverDocument_applicationId_type_key" ON "DriverDocument"("applicationId", "type");
+
+-- AddForeignKey
+ALTER TABLE "DriverApplication" ADD CONSTRAINT "DriverApplication_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DriverApplication" ADD CONSTRAINT "DriverApplication_reviewedByAdminId_fkey" FOREIGN KEY ("reviewedByAdminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DriverDocument" ADD CONSTRAINT "DriverDocument_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "DriverApplication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
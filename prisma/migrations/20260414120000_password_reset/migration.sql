@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "ResetSubject" AS ENUM ('USER', 'DRIVER');
+
+-- CreateEnum
+CREATE TYPE "ResetChannel" AS ENUM ('SMS', 'EMAIL');
+
+-- CreateTable
+CREATE TABLE "PasswordResetCode" (
+    "id" SERIAL NOT NULL,
+    "subjectType" "ResetSubject" NOT NULL,
+    "subjectId" INTEGER NOT NULL,
+    "channel" "ResetChannel" NOT NULL,
+    "destination" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "verifiedAt" TIMESTAMP(3),
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PasswordResetCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PasswordResetCode_subjectType_subjectId_createdAt_idx" ON "PasswordResetCode"("subjectType", "subjectId", "createdAt");
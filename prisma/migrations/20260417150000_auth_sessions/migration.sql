@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "SessionSubject" AS ENUM ('USER', 'DRIVER');
+
+-- CreateTable
+CREATE TABLE "AuthSession" (
+    "id" SERIAL NOT NULL,
+    "subjectType" "SessionSubject" NOT NULL,
+    "subjectId" INTEGER NOT NULL,
+    "refreshTokenHash" TEXT NOT NULL,
+    "prevTokenHash" TEXT,
+    "deviceName" TEXT,
+    "userAgent" TEXT,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokeReason" TEXT,
+
+    CONSTRAINT "AuthSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthSession_refreshTokenHash_key" ON "AuthSession"("refreshTokenHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthSession_prevTokenHash_key" ON "AuthSession"("prevTokenHash");
+
+-- CreateIndex
+CREATE INDEX "AuthSession_subjectType_subjectId_idx" ON "AuthSession"("subjectType", "subjectId");
@@ -0,0 +1,16 @@
+-- AlterEnum
+ALTER TYPE "RideStatus" ADD VALUE 'SCHEDULED';
+
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN     "scheduledAt" TIMESTAMP(3),
+ADD COLUMN     "preAssignedDriverId" INTEGER,
+ADD COLUMN     "preAssignedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "RideRequest_status_scheduledAt_idx" ON "RideRequest"("status", "scheduledAt");
+
+-- CreateIndex
+CREATE INDEX "RideRequest_preAssignedDriverId_idx" ON "RideRequest"("preAssignedDriverId");
+
+-- AddForeignKey
+ALTER TABLE "RideRequest" ADD CONSTRAINT "RideRequest_preAssignedDriverId_fkey" FOREIGN KEY ("preAssignedDriverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "RideStop" (
+    "id" SERIAL NOT NULL,
+    "rideRequestId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "text" TEXT NOT NULL,
+    "lat" DOUBLE PRECISION,
+    "lng" DOUBLE PRECISION,
+    "reachedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RideStop_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RideStop_rideRequestId_position_key" ON "RideStop"("rideRequestId", "position");
+
+-- AddForeignKey
+ALTER TABLE "RideStop" ADD CONSTRAINT "RideStop_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "PromoType" AS ENUM ('PERCENT', 'FIXED');
+
+-- CreateEnum
+CREATE TYPE "PromoRedemptionStatus" AS ENUM ('RESERVED', 'APPLIED', 'RELEASED');
+
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN "discountAmount" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "PromoCode" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromoType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "maxDiscount" DOUBLE PRECISION,
+    "minFare" DOUBLE PRECISION,
+    "region" TEXT,
+    "firstRideOnly" BOOLEAN NOT NULL DEFAULT false,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerUser" INTEGER DEFAULT 1,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromoCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PromoRedemption" (
+    "id" SERIAL NOT NULL,
+    "promoCodeId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "rideRequestId" INTEGER NOT NULL,
+    "status" "PromoRedemptionStatus" NOT NULL DEFAULT 'RESERVED',
+    "discount" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "appliedAt" TIMESTAMP(3),
+    "releasedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PromoRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "PromoCode"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoRedemption_rideRequestId_key" ON "PromoRedemption"("rideRequestId");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_promoCodeId_userId_status_idx" ON "PromoRedemption"("promoCodeId", "userId", "status");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_userId_idx" ON "PromoRedemption"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PromoRedemption" ADD CONSTRAINT "PromoRedemption_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "PromoCode"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoRedemption" ADD CONSTRAINT "PromoRedemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoRedemption" ADD CONSTRAINT "PromoRedemption_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('CASH', 'CARD', 'WALLET');
+
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('PENDING', 'PAID', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "LedgerTransactionType" AS ENUM ('RIDE_CHARGE', 'CANCELLATION_FEE', 'PAYMENT', 'REFUND', 'ADJUSTMENT', 'WALLET_TOPUP');
+
+-- CreateEnum
+CREATE TYPE "LedgerAccountType" AS ENUM ('CUSTOMER', 'WALLET', 'DRIVER', 'PLATFORM', 'PROVIDER');
+
+-- AlterTable
+ALTER TABLE "RideRequest" ADD COLUMN "paymentMethod" "PaymentMethod" NOT NULL DEFAULT 'CASH',
+ADD COLUMN "paymentStatus" "PaymentStatus",
+ADD COLUMN "paidAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "LedgerTransaction" (
+    "id" SERIAL NOT NULL,
+    "type" "LedgerTransactionType" NOT NULL,
+    "description" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'TRY',
+    "idempotencyKey" TEXT,
+    "rideRequestId" INTEGER,
+    "paymentMethod" "PaymentMethod",
+    "providerRef" TEXT,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" SERIAL NOT NULL,
+    "transactionId" INTEGER NOT NULL,
+    "accountType" "LedgerAccountType" NOT NULL,
+    "userId" INTEGER,
+    "driverId" INTEGER,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerTransaction_idempotencyKey_key" ON "LedgerTransaction"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "LedgerTransaction_rideRequestId_idx" ON "LedgerTransaction"("rideRequestId");
+
+-- CreateIndex
+CREATE INDEX "LedgerTransaction_type_createdAt_idx" ON "LedgerTransaction"("type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_transactionId_idx" ON "LedgerEntry"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_accountType_userId_idx" ON "LedgerEntry"("accountType", "userId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_accountType_driverId_idx" ON "LedgerEntry"("accountType", "driverId");
+
+-- AddForeignKey
+ALTER TABLE "LedgerTransaction" ADD CONSTRAINT "LedgerTransaction_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerTransaction" ADD CONSTRAINT "LedgerTransaction_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "LedgerTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
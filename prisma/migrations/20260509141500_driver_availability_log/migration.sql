@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "DriverAvailabilityLog" (
+    "id" SERIAL NOT NULL,
+    "driverId" INTEGER NOT NULL,
+    "previous" "DriverAvailability",
+    "availability" "DriverAvailability" NOT NULL,
+    "at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DriverAvailabilityLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DriverAvailabilityLog_driverId_at_idx" ON "DriverAvailabilityLog"("driverId", "at");
+
+-- AddForeignKey
+ALTER TABLE "DriverAvailabilityLog" ADD CONSTRAINT "DriverAvailabilityLog_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- availability her değiştiğinde (hangi koddan gelirse gelsin) bir satır yaz
+CREATE FUNCTION "log_driver_availability"() RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO "DriverAvailabilityLog" ("driverId", "previous", "availability", "at")
+    VALUES (NEW."id", OLD."availability", NEW."availability", CURRENT_TIMESTAMP);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Driver_availability_log"
+    AFTER UPDATE OF "availability" ON "Driver"
+    FOR EACH ROW
+    WHEN (OLD."availability" IS DISTINCT FROM NEW."availability")
+    EXECUTE FUNCTION "log_driver_availability"();
+
+-- Şu an online / meşgul olan sürücülerin başlangıç durumu
+INSERT INTO "DriverAvailabilityLog" ("driverId", "previous", "availability", "at")
+SELECT "id", NULL, "availability", CURRENT_TIMESTAMP FROM "Driver" WHERE "availability" <> 'OFFLINE';
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "RideEventActor" AS ENUM ('CUSTOMER', 'DRIVER', 'ADMIN', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "RideEvent" (
+    "id" SERIAL NOT NULL,
+    "rideRequestId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "actorType" "RideEventActor" NOT NULL,
+    "actorId" INTEGER,
+    "payload" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RideEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RideEvent_rideRequestId_createdAt_idx" ON "RideEvent"("rideRequestId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "RideEvent" ADD CONSTRAINT "RideEvent_rideRequestId_fkey" FOREIGN KEY ("rideRequestId") REFERENCES "RideRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Append-only: kayıtlar değiştirilemez / silinemez
+CREATE FUNCTION "ride_event_append_only"() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'RideEvent append-only: % yapılamaz', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "RideEvent_append_only"
+    BEFORE UPDATE OR DELETE ON "RideEvent"
+    FOR EACH ROW
+    EXECUTE FUNCTION "ride_event_append_only"();
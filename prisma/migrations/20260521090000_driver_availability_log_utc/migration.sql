@@ -0,0 +1,8 @@
+-- Prisma DateTime değerlerini UTC yazar; trigger da oturum saat diliminden bağımsız UTC yazsın
+CREATE OR REPLACE FUNCTION "log_driver_availability"() RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO "DriverAvailabilityLog" ("driverId", "previous", "availability", "at")
+    VALUES (NEW."id", OLD."availability", NEW."availability", (now() AT TIME ZONE 'UTC'));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
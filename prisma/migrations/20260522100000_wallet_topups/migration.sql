@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "WalletTopup" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'TRY',
+    "reference" TEXT NOT NULL,
+    "status" "PaymentStatus" NOT NULL DEFAULT 'PROCESSING',
+    "providerRef" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WalletTopup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WalletTopup_reference_key" ON "WalletTopup"("reference");
+
+-- CreateIndex
+CREATE INDEX "WalletTopup_userId_createdAt_idx" ON "WalletTopup"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WalletTopup" ADD CONSTRAINT "WalletTopup_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
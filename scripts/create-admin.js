@@ -0,0 +1,43 @@
+// İlk admin'i oluşturur (veya şifresini günceller)
+// Kullanım: npm run admin:create -- <email> <şifre> [isim]
+import dotenv from "dotenv";
+import bcrypt from "bcrypt";
+import { PrismaClient } from "@prisma/client";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const [email, password, ...nameParts] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error("Kullanım: npm run admin:create -- <email> <şifre> [isim]");
+    process.exitCode = 1;
+    return;
+  }
+  if (password.length < 8) {
+    console.error("Şifre en az 8 karakter olmalı.");
+    process.exitCode = 1;
+    return;
+  }
+
+  const hashed = await bcrypt.hash(password, 10);
+  const name = nameParts.join(" ") || null;
+  const normEmail = email.trim().toLowerCase();
+
+  const admin = await prisma.admin.upsert({
+    where: { email: normEmail },
+    create: { email: normEmail, password: hashed, name },
+    update: { password: hashed, isActive: true, ...(name ? { name } : {}) },
+    select: { id: true, email: true, name: true },
+  });
+
+  console.log(`✅ Admin hazır: #${admin.id} ${admin.email}`);
+}
+
+main()
+  .catch((e) => {
+    console.error("create-admin hata:", e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,80 @@
+// Mevcut User.phone ve Driver.phone değerlerini E.164'e çevirir (tek seferlik).
+// Kullanım: npm run phones:normalize            -> sadece rapor (değişiklik yapmaz)
+//           npm run phones:normalize -- --apply -> çakışmayan kayıtları günceller
+// Aynı numaraya düşen kayıtlar (çakışma) ve geçersiz numaralar değiştirilmez, elle çözülmesi için listelenir.
+import dotenv from "dotenv";
+import { PrismaClient } from "@prisma/client";
+import { normalizePhone } from "../src/phone.js";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+const apply = process.argv.includes("--apply");
+
+async function normalizeTable(label, model, where = {}) {
+  const rows = await model.findMany({
+    where,
+    select: { id: true, phone: true },
+    orderBy: { id: "asc" },
+  });
+
+  const invalid = [];
+  const groups = new Map(); // normalize edilmiş numara -> kayıtlar
+  for (const row of rows) {
+    const phone = normalizePhone(row.phone);
+    if (!phone) {
+      invalid.push(row);
+      continue;
+    }
+    if (!groups.has(phone)) groups.set(phone, []);
+    groups.get(phone).push(row);
+  }
+
+  const collisions = [...groups].filter(([, list]) => list.length > 1);
+  const updates = [...groups]
+    .filter(([phone, list]) => list.length === 1 && list[0].phone !== phone)
+    .map(([phone, [row]]) => ({ id: row.id, from: row.phone, to: phone }));
+
+  console.log(`\n== ${label}: ${rows.length} kayıt, ${updates.length} güncellenecek`);
+
+  for (const u of updates) console.log(`  #${u.id}: "${u.from}" -> ${u.to}`);
+
+  if (invalid.length > 0) {
+    console.log(`  ⚠️ Geçersiz numara (${invalid.length}):`);
+    for (const r of invalid) console.log(`    #${r.id}: "${r.phone}"`);
+  }
+
+  if (collisions.length > 0) {
+    console.log(`  ⚠️ Çakışma (${collisions.length}) — elle birleştirilmeli:`);
+    for (const [phone, list] of collisions) {
+      console.log(`    ${phone}: ${list.map((r) => `#${r.id} "${r.phone}"`).join(", ")}`);
+    }
+  }
+
+  if (apply && updates.length > 0) {
+    await prisma.$transaction(updates.map((u) => model.update({ where: { id: u.id }, data: { phone: u.to } })));
+    console.log(`  ✅ ${updates.length} kayıt güncellendi.`);
+  }
+
+  return { invalid: invalid.length, collisions: collisions.length };
+}
+
+async function main() {
+  if (!apply) console.log("Sadece rapor (değişiklik için --apply).");
+
+  const results = [
+    // User.phone opsiyonel (sadece email ile kayıt olunabiliyor)
+    await normalizeTable("User", prisma.user, { phone: { not: null } }),
+    await normalizeTable("Driver", prisma.driver),
+  ];
+
+  // Çakışma / geçersiz kayıt kaldıysa CI'da fark edilsin
+  if (results.some((r) => r.invalid > 0 || r.collisions > 0)) process.exitCode = 2;
+}
+
+main()
+  .catch((e) => {
+    console.error("normalize-phones hata:", e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -3,7 +3,52 @@ import cors from "cors";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
-import { PrismaClient } from "@prisma/client";
+import multer from "multer";
+import path from "path";
+import crypto from "crypto";
+import { Prisma, PrismaClient } from "@prisma/client";
+import { createSseHub } from "./src/realtime.js";
+import { createJobScheduler } from "./src/scheduler.js";
+import { distanceKm, pathDistanceKm, toRad } from "./src/geo.js";
+import {
+  DEFAULT_DISPATCH_PHASES,
+  DEFAULT_WAVE_SIZES,
+  DEFAULT_WAVE_TTL_SECONDS,
+  normRegion,
+  parsePolicyInput,
+  pickPolicy,
+  waveTtlError,
+} from "./src/dispatch-policy.js";
+import { rankCandidates, waveSize } from "./src/ranking.js";
+import { FARE_TIMEZONE, calculateFare, parseTariffInput, pickTariff, roundMoney } from "./src/fare.js";
+import { routeSegments, toGeoJSON, toGpx, travelledDistanceKm } from "./src/route.js";
+import {
+  ACTIVE_RIDE_STATUSES,
+  TERMINAL_RIDE_STATUSES,
+  TRANSITION_TIMESTAMPS,
+  canTransition,
+  redactRideEventForCustomer,
+} from "./src/ride-lifecycle.js";
+import {
+  createLockout,
+  createMemoryStore,
+  createPostgresStore,
+  createRateLimiter,
+  sendTooMany,
+} from "./src/rate-limit.js";
+import { createStorage } from "./src/storage.js";
+import { createNotifier } from "./src/notify.js";
+import { normalizePhone } from "./src/phone.js";
+import { normPromoCode, parsePromoInput, promoDiscount, promoIneligibility } from "./src/promo.js";
+import { createPaymentProvider, paymentProviderIssue } from "./src/payments.js";
+import { EARNINGS_CSV_COLUMNS, REPORT_PERIODS, buildEarningsReport, periodOf, toCsv } from "./src/earnings.js";
+import {
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_TRANSACTION_TYPES,
+  account,
+  accountBalance,
+  postLedgerTransaction,
+} from "./src/ledger.js";
 
 dotenv.config();
 
@@ -20,6 +65,19 @@ if (!JWT_SECRET) {
   );
 }
 
+// Sürücü ARRIVING olduktan sonra yapılan iptallerde alınan ücret (0 = kapalı)
+const LATE_CANCEL_FEE = Number(process.env.LATE_CANCEL_FEE) || 0;
+
+// Proxy arkasında (Render) gerçek istemci IP'si için: TRUST_PROXY=1 (hop sayısı) / true / "loopback"
+// Ayarlanmazsa X-Forwarded-For'a güvenilmez (aksi halde IP limiti header ile atlatılabilir)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY
+  );
+}
+
 // Render/Prod ortamında CORS listesi
 const ALLOWED_ORIGINS = [
   "http://localhost:3000",
@@ -74,50 +132,141 @@ function mustHaveJwtSecret(res) {
   return true;
 }
 
-function signToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "7d" });
+function signToken(payload, expiresIn) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
-function auth(req, res, next) {
-  if (!mustHaveJwtSecret(res)) return;
+// Access token kısa ömürlü; süresi dolunca client refresh token ile yenisini alır
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
 
-  const header = req.headers.authorization || "";
-  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
-  if (!token) return res.status(401).json({ ok: false, message: "Token yok." });
+const SESSION_ID_FIELDS = { USER: "userId", DRIVER: "driverId" };
 
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (!payload.userId) {
-      return res.status(401).json({ ok: false, message: "Customer token değil." });
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function accessTokenFor(subjectType, subjectId, sid) {
+  return subjectType === "DRIVER"
+    ? signToken({ driverId: subjectId, role: "driver", sid }, ACCESS_TOKEN_TTL)
+    : signToken({ userId: subjectId, role: "customer", sid }, ACCESS_TOKEN_TTL);
+}
+
+// Login sonrası yeni cihaz oturumu
+async function openSession(req, subjectType, subjectId) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const session = await prisma.authSession.create({
+    data: {
+      subjectType,
+      subjectId,
+      refreshTokenHash: hashToken(refreshToken),
+      deviceName: (req.body?.deviceName ?? "").toString().trim().slice(0, 100) || null,
+      userAgent: (req.headers["user-agent"] || "").slice(0, 300) || null,
+      ip: req.ip || null,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000),
+    },
+  });
+  return {
+    token: accessTokenFor(subjectType, subjectId, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+}
+
+// JWT + oturum kontrolü (iptal edilmiş / süresi dolmuş oturumun token'ı geçmez)
+function sessionAuth(subjectType) {
+  const idField = SESSION_ID_FIELDS[subjectType];
+  const wrongType = subjectType === "DRIVER" ? "Driver token değil." : "Customer token değil.";
+
+  return async (req, res, next) => {
+    if (!mustHaveJwtSecret(res)) return;
+
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ ok: false, message: "Token yok." });
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+      return res.status(401).json({ ok: false, message: "Token geçersiz." });
+    }
+    if (!payload[idField]) return res.status(401).json({ ok: false, message: wrongType });
+    // Oturum öncesi verilmiş token'lar: tekrar giriş gerekir
+    if (!payload.sid) return res.status(401).json({ ok: false, message: "Oturum geçersiz, tekrar giriş yapın." });
+
+    try {
+      const session = await prisma.authSession.findUnique({
+        where: { id: payload.sid },
+        select: { subjectType: true, subjectId: true, revokedAt: true, expiresAt: true },
+      });
+      if (
+        !session ||
+        session.subjectType !== subjectType ||
+        session.subjectId !== payload[idField] ||
+        session.revokedAt ||
+        session.expiresAt <= new Date()
+      ) {
+        return res.status(401).json({ ok: false, message: "Oturum sonlandırılmış, tekrar giriş yapın." });
+      }
+    } catch (e) {
+      return res.status(500).json({ ok: false, message: "Auth hata", error: String(e) });
     }
-    req.userId = payload.userId;
+
+    req[idField] = payload[idField];
+    req.sessionId = payload.sid;
     next();
-  } catch {
-    return res.status(401).json({ ok: false, message: "Token geçersiz." });
+  };
+}
+
+const auth = sessionAuth("USER");
+
+// EventSource header gönderemiyor; stream route'larında ?token= de kabul ediyoruz
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
   }
+  next();
 }
 
-function driverAuth(req, res, next) {
+const driverAuth = sessionAuth("DRIVER");
+
+// Admin token'ı kısa ömürlü; her istekte hesabın hâlâ aktif olduğuna bakılır
+async function adminAuth(req, res, next) {
   if (!mustHaveJwtSecret(res)) return;
 
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
   if (!token) return res.status(401).json({ ok: false, message: "Token yok." });
 
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (!payload.driverId) {
-      return res.status(401).json({ ok: false, message: "Driver token değil." });
-    }
-    req.driverId = payload.driverId;
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
     return res.status(401).json({ ok: false, message: "Token geçersiz." });
   }
+  if (!payload.adminId) {
+    return res.status(401).json({ ok: false, message: "Admin token değil." });
+  }
+
+  try {
+    const admin = await prisma.admin.findUnique({
+      where: { id: payload.adminId },
+      select: { id: true, isActive: true },
+    });
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ ok: false, message: "Admin yetkisi yok." });
+    }
+    req.adminId = admin.id;
+    next();
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin auth hata", error: String(e) });
+  }
 }
 
 const ALLOWED_RIDE_STATUS = new Set([
   "OPEN",
+  "SCHEDULED",
   "SEARCHING",
   "ACCEPTED",
   "ARRIVING",
@@ -127,6 +276,142 @@ const ALLOWED_RIDE_STATUS = new Set([
   "FAILED",
 ]);
 
+// Sürücünün /rides/status ile verebileceği durumlar (geçiş kuralları ride-lifecycle.js'de)
+const DRIVER_SETTABLE_STATUS = new Set(["ARRIVING", "IN_PROGRESS", "COMPLETED", "CANCELED"]);
+
+// İptal sebepleri
+const CUSTOMER_CANCEL_REASONS = new Set(["CHANGED_MIND", "DRIVER_TOO_FAR", "WAIT_TOO_LONG", "WRONG_ADDRESS", "OTHER"]);
+const DRIVER_CANCEL_REASONS = new Set(["CUSTOMER_NO_SHOW", "CUSTOMER_UNREACHABLE", "VEHICLE_PROBLEM", "UNSAFE", "OTHER"]);
+
+/* =========================
+   REALTIME (SSE)
+========================= */
+const hub = createSseHub();
+
+// Ara duraklar (sırayla)
+const RIDE_STOPS_SELECT = {
+  orderBy: { position: "asc" },
+  select: { position: true, text: true, lat: true, lng: true, reachedAt: true },
+};
+
+// Sürücüye giden teklif payload'ı (/drivers/offers ve stream aynı şekli kullanır)
+const OFFER_INCLUDE = {
+  rideRequest: {
+    select: {
+      id: true,
+      pickupText: true,
+      dropoffText: true,
+      stops: RIDE_STOPS_SELECT,
+      status: true,
+      phase: true,
+      searchRadiusKm: true,
+      estimatedDistanceKm: true,
+      estimatedFare: true,
+      paymentMethod: true,
+      expiresAt: true,
+      createdAt: true,
+    },
+  },
+};
+
+function pushToDriver(driverId, event, data) {
+  hub.publish(`driver:${driverId}`, event, data);
+}
+
+// Müşteriye gösterilen sürücü bilgisi (/rides/status/:id ve stream)
+const RIDE_DRIVER_SELECT = {
+  id: true,
+  name: true,
+  phone: true,
+  availability: true,
+  isOnline: true,
+  ratingAvg: true,
+  ratingCount: true,
+};
+
+// Ride'ın güncel halini müşteri stream'ine gönderir (status / phase değişimlerinde çağrılır)
+async function publishRideUpdate(rideId) {
+  const channel = `ride:${rideId}`;
+  if (!hub.hasSubscribers(channel)) return;
+
+  try {
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id: rideId },
+      include: {
+        driver: { select: RIDE_DRIVER_SELECT },
+        preAssignedDriver: { select: RIDE_DRIVER_SELECT },
+        stops: RIDE_STOPS_SELECT,
+      },
+    });
+    if (ride) hub.publish(channel, "ride", { ride });
+  } catch (err) {
+    console.error("publishRideUpdate error:", err);
+  }
+}
+
+/* =========================
+   RATE LIMIT + LOGIN LOCKOUT
+========================= */
+
+// Tek instance: memory (varsayılan). Birden fazla instance: RATE_LIMIT_STORE=postgres
+const rateLimitStore =
+  process.env.RATE_LIMIT_STORE === "postgres" ? createPostgresStore({ prisma }) : createMemoryStore();
+const limit = createRateLimiter({ store: rateLimitStore });
+const loginLockout = createLockout({ store: rateLimitStore });
+
+// Kural başına { max, windowSeconds }. RATE_LIMITS env'i (JSON) ile ezilebilir:
+// RATE_LIMITS='{"login:ip":{"max":50},"ride-create:user":{"max":10,"windowSeconds":60}}'
+const RATE_LIMITS = {
+  "login:ip": { max: 30, windowSeconds: 15 * 60 },
+  "login:account": { max: 10, windowSeconds: 15 * 60 },
+  "refresh:ip": { max: 60, windowSeconds: 15 * 60 },
+  "otp-send:ip": { max: 10, windowSeconds: 60 * 60 },
+  "otp-send:account": { max: 5, windowSeconds: 60 * 60 },
+  "otp-verify:ip": { max: 30, windowSeconds: 15 * 60 },
+  "ride-create:user": { max: 5, windowSeconds: 60 },
+  "ride-create:ip": { max: 30, windowSeconds: 60 },
+};
+try {
+  const overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  for (const [name, cfg] of Object.entries(overrides)) {
+    if (RATE_LIMITS[name]) Object.assign(RATE_LIMITS[name], cfg);
+  }
+} catch {
+  console.warn("⚠️ RATE_LIMITS env'i geçerli JSON değil, varsayılanlar kullanılıyor.");
+}
+
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.userId ? String(req.userId) : null);
+// Telefon / email (body'den); aynı numaranın farklı yazımları ve büyük-küçük harf farkı aynı sayaç
+const byAccount = (req) => {
+  if (req.body?.phone != null) return normalizePhone(req.body.phone) ?? String(req.body.phone).trim();
+  const v = req.body?.email;
+  return v == null ? null : String(v).trim().toLowerCase() || null;
+};
+
+function rule(name, key) {
+  return { name, key, ...RATE_LIMITS[name] };
+}
+
+// Kilitliyse 429 gönderir ve true döner
+async function rejectIfLocked(res, lockKey) {
+  const retryAfter = await loginLockout.check(lockKey);
+  if (!retryAfter) return false;
+  sendTooMany(res, retryAfter, `Çok fazla hatalı giriş. ${retryAfter} sn sonra tekrar deneyin.`);
+  return true;
+}
+
+// Hatalı şifre: kilit oluştuysa 429, değilse verilen 401 mesajı
+async function rejectWrongPassword(res, lockKey, message) {
+  const lockedFor = await loginLockout.fail(lockKey);
+  if (lockedFor) {
+    return sendTooMany(res, lockedFor, `Çok fazla hatalı giriş. ${lockedFor} sn sonra tekrar deneyin.`);
+  }
+  return res.status(401).json({ ok: false, message });
+}
+
+const loginLimit = limit([rule("login:ip", byIp), rule("login:account", byAccount)]);
+
 /* =========================
    CUSTOMER AUTH
 ========================= */
@@ -140,9 +425,14 @@ app.post("/auth/register", async (req, res) => {
         .json({ ok: false, message: "Telefon veya email ve şifre gerekli." });
     }
 
+    const phoneN = phone ? normalizePhone(phone) : null;
+    if (phone && !phoneN) {
+      return res.status(400).json({ ok: false, message: "Telefon numarası geçersiz." });
+    }
+
     const existing = await prisma.user.findFirst({
       where: {
-        OR: [phone ? { phone } : undefined, email ? { email } : undefined].filter(Boolean),
+        OR: [phoneN ? { phone: phoneN } : undefined, email ? { email } : undefined].filter(Boolean),
       },
     });
 
@@ -155,7 +445,7 @@ app.post("/auth/register", async (req, res) => {
     const user = await prisma.user.create({
       data: {
         name: name || null,
-        phone: phone || null,
+        phone: phoneN,
         email: email || null,
         password: hashed,
       },
@@ -168,7 +458,7 @@ app.post("/auth/register", async (req, res) => {
   }
 });
 
-app.post("/auth/login", async (req, res) => {
+app.post("/auth/login", loginLimit, async (req, res) => {
   try {
     if (!mustHaveJwtSecret(res)) return;
 
@@ -180,22 +470,32 @@ app.post("/auth/login", async (req, res) => {
         .json({ ok: false, message: "Telefon veya email ve şifre gerekli." });
     }
 
+    const phoneN = phone ? normalizePhone(phone) : null;
+    if (phone && !phoneN) {
+      return res.status(400).json({ ok: false, message: "Telefon numarası geçersiz." });
+    }
+
     const user = await prisma.user.findFirst({
       where: {
-        OR: [phone ? { phone } : undefined, email ? { email } : undefined].filter(Boolean),
+        OR: [phoneN ? { phone: phoneN } : undefined, email ? { email } : undefined].filter(Boolean),
       },
     });
 
     if (!user) return res.status(401).json({ ok: false, message: "Kullanıcı bulunamadı." });
 
+    const lockKey = `USER:${user.id}`;
+    if (await rejectIfLocked(res, lockKey)) return;
+
     const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(401).json({ ok: false, message: "Şifre yanlış." });
+    if (!valid) return rejectWrongPassword(res, lockKey, "Şifre yanlış.");
+    await loginLockout.succeed(lockKey);
 
-    const token = signToken({ userId: user.id, role: "customer" });
+    const { token, refreshToken } = await openSession(req, "USER", user.id);
 
     res.json({
       ok: true,
       token,
+      refreshToken,
       user: { id: user.id, name: user.name, phone: user.phone, email: user.email },
     });
   } catch (err) {
@@ -207,9 +507,18 @@ app.get("/me", auth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.userId },
-      select: { id: true, name: true, phone: true, email: true, createdAt: true },
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        email: true,
+        ratingAvg: true,
+        ratingCount: true,
+        createdAt: true,
+      },
     });
-    res.json({ ok: true, user });
+    const sessions = await listSessions("USER", req.userId, req.sessionId);
+    res.json({ ok: true, user, sessions });
   } catch (e) {
     res.status(500).json({ ok: false, message: "Me hata", error: String(e) });
   }
@@ -220,19 +529,23 @@ app.get("/me", auth, async (req, res) => {
 ========================= */
 app.post("/drivers/register", async (req, res) => {
   try {
-    const { name, phone, password } = req.body;
-    if (!phone || !password) {
+    const { name, phone: rawPhone, password } = req.body;
+    if (!rawPhone || !password) {
       return res.status(400).json({ ok: false, message: "Telefon ve şifre gerekli." });
     }
 
+    const phone = normalizePhone(rawPhone);
+    if (!phone) return res.status(400).json({ ok: false, message: "Telefon numarası geçersiz." });
+
     const exists = await prisma.driver.findUnique({ where: { phone } });
     if (exists) return res.status(409).json({ ok: false, message: "Sürücü zaten var." });
 
     const hashed = await bcrypt.hash(password, 10);
 
+    // Yeni sürücü admin onayına kadar PENDING (çağrı almaz)
     const driver = await prisma.driver.create({
       data: { name: name || null, phone, password: hashed, isOnline: false },
-      select: { id: true, name: true, phone: true, isOnline: true, createdAt: true },
+      select: { id: true, name: true, phone: true, isOnline: true, status: true, createdAt: true },
     });
 
     res.json({ ok: true, driver });
@@ -241,7 +554,7 @@ app.post("/drivers/register", async (req, res) => {
   }
 });
 
-app.post("/drivers/login", async (req, res) => {
+app.post("/drivers/login", loginLimit, async (req, res) => {
   try {
     if (!mustHaveJwtSecret(res)) return;
 
@@ -250,31 +563,70 @@ app.post("/drivers/login", async (req, res) => {
       return res.status(400).json({ ok: false, message: "Telefon ve şifre gerekli." });
     }
 
-    const driver = await prisma.driver.findUnique({ where: { phone } });
+    const phoneN = normalizePhone(phone);
+    if (!phoneN) return res.status(400).json({ ok: false, message: "Telefon numarası geçersiz." });
+
+    const driver = await prisma.driver.findUnique({ where: { phone: phoneN } });
     if (!driver) return res.status(401).json({ ok: false, message: "Sürücü bulunamadı." });
 
+    const lockKey = `DRIVER:${driver.id}`;
+    if (await rejectIfLocked(res, lockKey)) return;
+
     const ok = await bcrypt.compare(password, driver.password);
-    if (!ok) return res.status(401).json({ ok: false, message: "Şifre yanlış." });
+    if (!ok) return rejectWrongPassword(res, lockKey, "Şifre yanlış.");
+    await loginLockout.succeed(lockKey);
+
+    if (driver.status === "SUSPENDED") {
+      return res.status(403).json({
+        ok: false,
+        message: "Hesabınız askıya alındı.",
+        reason: driver.statusReason,
+      });
+    }
 
-    const token = signToken({ driverId: driver.id, role: "driver" });
+    const { token, refreshToken } = await openSession(req, "DRIVER", driver.id);
 
     res.json({
       ok: true,
       token,
-      driver: { id: driver.id, name: driver.name, phone: driver.phone, isOnline: driver.isOnline },
+      refreshToken,
+      driver: {
+        id: driver.id,
+        name: driver.name,
+        phone: driver.phone,
+        isOnline: driver.isOnline,
+        status: driver.status,
+      },
     });
   } catch (e) {
     res.status(500).json({ ok: false, message: "Driver login hata", error: String(e) });
   }
 });
 
+async function isDriverApproved(driverId) {
+  const driver = await prisma.driver.findUnique({ where: { id: driverId }, select: { status: true } });
+  return driver?.status === "APPROVED";
+}
+
 app.get("/drivers/me", driverAuth, async (req, res) => {
   try {
     const driver = await prisma.driver.findUnique({
       where: { id: req.driverId },
-      select: { id: true, name: true, phone: true, isOnline: true, createdAt: true },
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        isOnline: true,
+        status: true,
+        statusReason: true,
+        ratingAvg: true,
+        ratingCount: true,
+        createdAt: true,
+        application: { select: { id: true, status: true, reviewNote: true } },
+      },
     });
-    res.json({ ok: true, driver });
+    const sessions = await listSessions("DRIVER", req.driverId, req.sessionId);
+    res.json({ ok: true, driver, sessions });
   } catch (e) {
     res.status(500).json({ ok: false, message: "Driver me hata", error: String(e) });
   }
@@ -283,10 +635,21 @@ app.get("/drivers/me", driverAuth, async (req, res) => {
 app.post("/drivers/online", driverAuth, async (req, res) => {
   try {
     const { isOnline } = req.body;
+    if (Boolean(isOnline) && !(await isDriverApproved(req.driverId))) {
+      return res.status(403).json({ ok: false, message: "Hesabınız onaylanmadan çevrim içi olamazsınız." });
+    }
+
+    // isOnline tek başına yazılmaz: availability de değişir (eşleşme ve çalışma saati logu availability'e bakar).
+    // Yolculuktaki (BUSY) sürücü online kalır; müsaitlik yolculuk bitince döner.
+    const current = await prisma.driver.findUnique({ where: { id: req.driverId }, select: { availability: true } });
+    const keepBusy = Boolean(isOnline) && current?.availability === "BUSY";
     const driver = await prisma.driver.update({
       where: { id: req.driverId },
-      data: { isOnline: Boolean(isOnline) },
-      select: { id: true, isOnline: true },
+      data: {
+        isOnline: Boolean(isOnline),
+        ...(keepBusy ? {} : { availability: Boolean(isOnline) ? "ONLINE" : "OFFLINE" }),
+      },
+      select: { id: true, isOnline: true, availability: true },
     });
     res.json({ ok: true, driver });
   } catch (e) {
@@ -295,506 +658,4737 @@ app.post("/drivers/online", driverAuth, async (req, res) => {
 });
 
 /* =========================
-   DRIVER LIVE STATUS / LOCATION
+   SESSIONS (refresh / logout)
 ========================= */
 
-// Sürücü: ONLINE/BUSY/OFFLINE (Panel düğmesi buraya bağlanacak)
-app.post("/drivers/availability", driverAuth, async (req, res) => {
-  try {
-    // Eski isOnline desteği de kalsın diye:
-    const { availability, isOnline } = req.body;
+async function listSessions(subjectType, subjectId, currentSid) {
+  const sessions = await prisma.authSession.findMany({
+    where: { subjectType, subjectId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: "desc" },
+    select: { id: true, deviceName: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true },
+  });
+  return sessions.map((s) => ({ ...s, current: s.id === currentSid }));
+}
 
-    // availability gelirse onu kullan
-    let nextAvailability = null;
-    if (availability) {
-      const v = String(availability).toUpperCase();
-      if (!["ONLINE", "BUSY", "OFFLINE"].includes(v)) {
-        return res.status(400).json({ ok: false, message: "availability ONLINE/BUSY/OFFLINE olmalı." });
-      }
-      nextAvailability = v;
-    }
+// Oturumları kapatır; açık SSE bağlantıları da düşürülür (yeniden bağlanırken auth'ta elenir)
+async function revokeSessions(subjectType, subjectId, reason, { sessionId } = {}) {
+  const revoked = await prisma.authSession.updateMany({
+    where: { subjectType, subjectId, revokedAt: null, ...(sessionId ? { id: sessionId } : {}) },
+    data: { revokedAt: new Date(), revokeReason: reason },
+  });
+  if (revoked.count === 0) return 0;
 
-    // availability yoksa isOnline'dan çevir (geriye dönük)
-    if (!nextAvailability && typeof isOnline !== "undefined") {
-      nextAvailability = Boolean(isOnline) ? "ONLINE" : "OFFLINE";
-    }
+  if (subjectType === "DRIVER") {
+    hub.disconnect(`driver:${subjectId}`);
 
-    if (!nextAvailability) {
-      return res.status(400).json({ ok: false, message: "availability veya isOnline gönder." });
+    // Açık oturumu kalmayan sürücü teklif almasın
+    const active = await prisma.authSession.count({
+      where: { subjectType, subjectId, revokedAt: null, expiresAt: { gt: new Date() } },
+    });
+    if (active === 0) {
+      await prisma.driver.updateMany({
+        where: { id: subjectId, availability: "ONLINE" },
+        data: { availability: "OFFLINE", isOnline: false },
+      });
+      await expireOffers({ driverId: subjectId }, "DRIVER_OFFLINE");
     }
-
-    const driver = await prisma.driver.update({
-      where: { id: req.driverId },
-      data: {
-        availability: nextAvailability,
-        // isOnline kolonunu da uyumlu tutalım
-        isOnline: nextAvailability === "ONLINE",
-      },
-      select: { id: true, isOnline: true, availability: true },
+  } else {
+    const rides = await prisma.rideRequest.findMany({
+      where: { customerId: subjectId, status: { notIn: TERMINAL_RIDE_STATUSES } },
+      select: { id: true },
     });
-
-    res.json({ ok: true, driver });
-  } catch (e) {
-    res.status(500).json({ ok: false, message: "availability update hata", error: String(e) });
+    for (const r of rides) hub.disconnect(`ride:${r.id}`);
   }
-});
+  return revoked.count;
+}
 
-// Sürücü konumu güncelle (5km/10km hesabı için şart)
-app.post("/drivers/location", driverAuth, async (req, res) => {
-  try {
-    const { lat, lng } = req.body;
-    const fLat = Number(lat);
-    const fLng = Number(lng);
-    if (!Number.isFinite(fLat) || !Number.isFinite(fLng)) {
-      return res.status(400).json({ ok: false, message: "lat ve lng sayı olmalı." });
+// Refresh token tek kullanımlık: her yenilemede yenisi verilir
+function refreshHandler(subjectType) {
+  return async (req, res) => {
+    try {
+      if (!mustHaveJwtSecret(res)) return;
+
+      const refreshToken = (req.body?.refreshToken ?? "").toString();
+      if (!refreshToken) return res.status(400).json({ ok: false, message: "refreshToken gerekli." });
+
+      const hash = hashToken(refreshToken);
+      const now = new Date();
+      const session = await prisma.authSession.findUnique({ where: { refreshTokenHash: hash } });
+
+      if (!session) {
+        // Eski (döndürülmüş) token tekrar geldiyse token çalınmış olabilir: oturumu kapat
+        const reused = await prisma.authSession.findUnique({ where: { prevTokenHash: hash } });
+        if (reused && reused.subjectType === subjectType) {
+          await revokeSessions(subjectType, reused.subjectId, "TOKEN_REUSE", { sessionId: reused.id });
+        }
+        return res.status(401).json({ ok: false, message: "refreshToken geçersiz." });
+      }
+      if (session.subjectType !== subjectType || session.revokedAt || session.expiresAt <= now) {
+        return res.status(401).json({ ok: false, message: "Oturum sonlandırılmış, tekrar giriş yapın." });
+      }
+
+      const nextToken = crypto.randomBytes(48).toString("base64url");
+      const rotated = await prisma.authSession.updateMany({
+        where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+        data: {
+          refreshTokenHash: hashToken(nextToken),
+          prevTokenHash: hash,
+          lastUsedAt: now,
+          ip: req.ip || session.ip,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000),
+        },
+      });
+      // Aynı token'la eşzamanlı iki yenileme: ikincisi düşer
+      if (rotated.count === 0) return res.status(401).json({ ok: false, message: "refreshToken geçersiz." });
+
+      res.json({
+        ok: true,
+        token: accessTokenFor(subjectType, session.subjectId, session.id),
+        refreshToken: nextToken,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Refresh hata", error: String(e) });
     }
+  };
+}
 
-    const driver = await prisma.driver.update({
-      where: { id: req.driverId },
-      data: { lat: fLat, lng: fLng },
-      select: { id: true, lat: true, lng: true, availability: true, isOnline: true },
-    });
+function logoutHandler(subjectType, { all }) {
+  const idField = SESSION_ID_FIELDS[subjectType];
+  return async (req, res) => {
+    try {
+      const count = await revokeSessions(
+        subjectType,
+        req[idField],
+        all ? "LOGOUT_ALL" : "LOGOUT",
+        all ? {} : { sessionId: req.sessionId }
+      );
+      res.json({ ok: true, revoked: count });
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Logout hata", error: String(e) });
+    }
+  };
+}
 
-    res.json({ ok: true, driver });
-  } catch (e) {
-    res.status(500).json({ ok: false, message: "location update hata", error: String(e) });
-  }
-});
+// Başka bir cihazdaki oturumu kapat (ör. kaybolan telefon)
+function revokeSessionHandler(subjectType) {
+  const idField = SESSION_ID_FIELDS[subjectType];
+  return async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id)) return res.status(400).json({ ok: false, message: "Geçersiz session id" });
+
+      const count = await revokeSessions(subjectType, req[idField], "LOGOUT", { sessionId: id });
+      if (count === 0) return res.status(404).json({ ok: false, message: "Oturum bulunamadı" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Session revoke hata", error: String(e) });
+    }
+  };
+}
+
+const refreshLimit = limit([rule("refresh:ip", byIp)]);
+
+app.post("/auth/refresh", refreshLimit, refreshHandler("USER"));
+app.post("/auth/logout", auth, logoutHandler("USER", { all: false }));
+app.post("/auth/logout-all", auth, logoutHandler("USER", { all: true }));
+app.delete("/me/sessions/:id", auth, revokeSessionHandler("USER"));
+
+app.post("/drivers/refresh", refreshLimit, refreshHandler("DRIVER"));
+app.post("/drivers/logout", driverAuth, logoutHandler("DRIVER", { all: false }));
+app.post("/drivers/logout-all", driverAuth, logoutHandler("DRIVER", { all: true }));
+app.delete("/drivers/me/sessions/:id", driverAuth, revokeSessionHandler("DRIVER"));
 
 /* =========================
-   MATCHING / SEARCH ENGINE
+   PASSWORD RESET (OTP)
 ========================= */
 
-function toRad(x) {
-  return (x * Math.PI) / 180;
+const notifier = createNotifier();
+for (const [channel, issue] of Object.entries(notifier.issues)) {
+  console.warn(`⚠️ Şifre sıfırlama kodu ${channel} ile gönderilemez: ${issue}`);
 }
 
-// KM cinsinden mesafe (Haversine)
-function distanceKm(lat1, lng1, lat2, lng2) {
-  const R = 6371;
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+// Aynı hesaba bu süre dolmadan yeni kod gönderilmez
+const OTP_RESEND_SECONDS = 60;
+// Kod doğrulandıktan sonra yeni şifreyi belirlemek için verilen süre
+const RESET_TOKEN_TTL = "15m";
+const MIN_PASSWORD_LENGTH = 6;
+
+const RESET_MODELS = { USER: "user", DRIVER: "driver" };
+
+// Müşteri telefon veya email, sürücü sadece telefon ile sıfırlar
+async function findResetSubject(subjectType, { phone, email }) {
+  const model = prisma[RESET_MODELS[subjectType]];
+  if (email && subjectType === "USER") {
+    const e = String(email).trim();
+    const found = await model.findUnique({ where: { email: e }, select: { id: true } });
+    return found ? { id: found.id, channel: "EMAIL", destination: e } : null;
+  }
+  if (phone) {
+    const p = normalizePhone(phone);
+    if (!p) return null;
+    const found = await model.findUnique({ where: { phone: p }, select: { id: true } });
+    return found ? { id: found.id, channel: "SMS", destination: p } : null;
+  }
+  return null;
 }
 
-async function expireOldOffers(rideRequestId) {
-  const now = new Date();
-  await prisma.rideOffer.updateMany({
-    where: {
-      rideRequestId,
-      status: "SENT",
-      expiresAt: { lte: now },
-    },
-    data: { status: "EXPIRED" },
-  });
+function contactOf(subjectType, body) {
+  const { phone, email } = body || {};
+  if (subjectType === "DRIVER") return phone ? { phone } : null;
+  return phone || email ? { phone, email } : null;
 }
 
-async function createOffersForRide({ ride, radiusKm, ttlSeconds }) {
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
-
-  // Online & müsait sürücüler: availability ONLINE veya isOnline true (geri uyum)
-  const candidates = await prisma.driver.findMany({
-    where: {
-      OR: [
-        { availability: "ONLINE" },
-        { isOnline: true },
-      ],
-    },
-    select: { id: true, lat: true, lng: true, availability: true, isOnline: true },
-  });
+const contactRequiredMessage = (subjectType) =>
+  subjectType === "DRIVER" ? "Telefon gerekli." : "Telefon veya email gerekli.";
 
-  let chosen = candidates;
+// Hesap var mı yok mu belli olmasın diye her durumda aynı cevap döner
+function forgotPasswordHandler(subjectType) {
+  return async (req, res) => {
+    try {
+      const contact = contactOf(subjectType, req.body);
+      if (!contact) return res.status(400).json({ ok: false, message: contactRequiredMessage(subjectType) });
+
+      // Kanal hesaptan bağımsız (email verildiyse email, değilse SMS); kapalıysa kod üretilmez
+      const channel = contact.email && subjectType === "USER" ? "email" : "sms";
+      if (!notifier.isAvailable(channel)) {
+        return res.status(503).json({
+          ok: false,
+          message: "Doğrulama kodu şu an gönderilemiyor. Lütfen daha sonra tekrar deneyin.",
+        });
+      }
 
-  // Konum varsa yarıçap filtresi uygula
-  if (ride.pickupLat != null && ride.pickupLng != null) {
-    chosen = candidates.filter((d) => {
-      if (d.lat == null || d.lng == null) return false;
-      const km = distanceKm(ride.pickupLat, ride.pickupLng, d.lat, d.lng);
-      return km <= radiusKm;
-    });
-  }
+      const reply = () =>
+        res.json({ ok: true, message: "Hesap kayıtlıysa doğrulama kodu gönderildi.", expiresInMinutes: OTP_TTL_MINUTES });
 
-  if (chosen.length === 0) return { count: 0, expiresAt };
+      const subject = await findResetSubject(subjectType, contact);
+      if (!subject) return reply();
 
-  // Offer createMany (aynı sürücüye iki kere gitmesin diye skipDuplicates)
-  const data = chosen.map((d) => ({
-    rideRequestId: ride.id,
-    driverId: d.id,
-    status: "SENT",
-    expiresAt,
-  }));
+      const now = new Date();
+      const recent = await prisma.passwordResetCode.findFirst({
+        where: {
+          subjectType,
+          subjectId: subject.id,
+          createdAt: { gt: new Date(now.getTime() - OTP_RESEND_SECONDS * 1000) },
+        },
+        select: { id: true },
+      });
+      if (recent) return reply();
 
-  const created = await prisma.rideOffer.createMany({
-    data,
-    skipDuplicates: true,
-  });
+      // Önceki kodlar geçersiz (sadece son gönderilen kod çalışır)
+      await prisma.passwordResetCode.updateMany({
+        where: { subjectType, subjectId: subject.id, consumedAt: null, expiresAt: { gt: now } },
+        data: { expiresAt: now },
+      });
 
-  // RideRequest üzerinde arama bilgisi güncelle
-  await prisma.rideRequest.update({
-    where: { id: ride.id },
-    data: {
-      status: "SEARCHING",
-      searchRadiusKm: radiusKm,
-      expiresAt,
-    },
-  });
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      await prisma.passwordResetCode.create({
+        data: {
+          subjectType,
+          subjectId: subject.id,
+          channel: subject.channel,
+          destination: subject.destination,
+          codeHash: await bcrypt.hash(code, 10),
+          expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+        },
+      });
 
-  return { count: created.count, expiresAt };
-}
+      try {
+        await notifier.send(subject.channel === "EMAIL" ? "email" : "sms", {
+          to: subject.destination,
+          subject: "SendeGel şifre sıfırlama kodu",
+          text: `SendeGel şifre sıfırlama kodunuz: ${code}. Kod ${OTP_TTL_MINUTES} dakika geçerlidir.`,
+        });
+      } catch (err) {
+        console.error("password reset notify error:", err);
+      }
 
-// Faz motoru: 1) 5km 15sn, 2) 5km 7sn, 3) 10km 12sn, yoksa FAILED
-async function runRideSearch(rideRequestId) {
-  // Faz-1
-  await runPhase(rideRequestId, 1);
+      reply();
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Forgot password hata", error: String(e) });
+    }
+  };
 }
 
-async function runPhase(rideRequestId, phase) {
-  // önce expire
-  await expireOldOffers(rideRequestId);
+function verifyResetCodeHandler(subjectType) {
+  return async (req, res) => {
+    try {
+      if (!mustHaveJwtSecret(res)) return;
 
-  const ride = await prisma.rideRequest.findUnique({
-    where: { id: rideRequestId },
-    select: { id: true, status: true, driverId: true, pickupLat: true, pickupLng: true, phase: true },
-  });
+      const contact = contactOf(subjectType, req.body);
+      const code = (req.body?.code ?? "").toString().trim();
+      if (!contact || !code) {
+        return res.status(400).json({ ok: false, message: `${contactRequiredMessage(subjectType)} Kod gerekli.` });
+      }
 
-  if (!ride) return;
+      const invalid = () => res.status(400).json({ ok: false, message: "Kod geçersiz veya süresi dolmuş." });
 
-  // zaten bitti mi?
-  if (ride.driverId || ["ACCEPTED", "ARRIVING", "IN_PROGRESS", "COMPLETED", "CANCELED", "FAILED"].includes(ride.status)) {
-    return;
-  }
+      const subject = await findResetSubject(subjectType, contact);
+      if (!subject) return invalid();
 
-  let radiusKm = 5;
-  let ttlSeconds = 15;
+      const record = await prisma.passwordResetCode.findFirst({
+        where: {
+          subjectType,
+          subjectId: subject.id,
+          verifiedAt: null,
+          consumedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+      if (!record) return invalid();
 
-  if (phase === 1) { radiusKm = 5; ttlSeconds = 15; }
-  if (phase === 2) { radiusKm = 5; ttlSeconds = 7; }
-  if (phase === 3) { radiusKm = 10; ttlSeconds = 12; }
+      // Denemeyi karşılaştırmadan önce say (paralel isteklerle limit aşılmasın)
+      const claimed = await prisma.passwordResetCode.updateMany({
+        where: { id: record.id, attempts: { lt: OTP_MAX_ATTEMPTS } },
+        data: { attempts: { increment: 1 } },
+      });
+      if (claimed.count === 0) {
+        return res.status(429).json({ ok: false, message: "Çok fazla hatalı deneme. Yeni kod isteyin." });
+      }
 
-  // Ride üzerinde phase yaz
-  await prisma.rideRequest.update({
-    where: { id: rideRequestId },
-    data: { phase },
+      const match = await bcrypt.compare(code, record.codeHash);
+      if (!match) {
+        return res.status(400).json({
+          ok: false,
+          message: "Kod yanlış.",
+          attemptsLeft: Math.max(0, OTP_MAX_ATTEMPTS - record.attempts - 1),
+        });
+      }
+
+      await prisma.passwordResetCode.update({ where: { id: record.id }, data: { verifiedAt: new Date() } });
+
+      const resetToken = signToken({ resetId: record.id, purpose: "password-reset" }, RESET_TOKEN_TTL);
+      res.json({ ok: true, resetToken });
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Verify code hata", error: String(e) });
+    }
+  };
+}
+
+function resetPasswordHandler(subjectType) {
+  return async (req, res) => {
+    try {
+      if (!mustHaveJwtSecret(res)) return;
+
+      const { resetToken, password } = req.body || {};
+      if (!resetToken || !password) {
+        return res.status(400).json({ ok: false, message: "resetToken ve password gerekli." });
+      }
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ ok: false, message: `Şifre en az ${MIN_PASSWORD_LENGTH} karakter olmalı.` });
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(String(resetToken), JWT_SECRET);
+      } catch {
+        return res.status(400).json({ ok: false, message: "resetToken geçersiz veya süresi dolmuş." });
+      }
+      if (payload.purpose !== "password-reset" || !payload.resetId) {
+        return res.status(400).json({ ok: false, message: "resetToken geçersiz." });
+      }
+
+      const hashed = await bcrypt.hash(String(password), 10);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const record = await tx.passwordResetCode.findUnique({ where: { id: payload.resetId } });
+        if (!record || record.subjectType !== subjectType || !record.verifiedAt) {
+          return { ok: false, code: 400, message: "resetToken geçersiz." };
+        }
+
+        // Token tek kullanımlık
+        const consumed = await tx.passwordResetCode.updateMany({
+          where: { id: record.id, consumedAt: null },
+          data: { consumedAt: new Date() },
+        });
+        if (consumed.count === 0) return { ok: false, code: 409, message: "Bu kod zaten kullanıldı." };
+
+        await tx[RESET_MODELS[subjectType]].update({
+          where: { id: record.subjectId },
+          data: { password: hashed },
+        });
+        return { ok: true, subjectId: record.subjectId };
+      });
+
+      if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+
+      // Şifre değişti: tüm cihazlarda tekrar giriş gerekir
+      await revokeSessions(subjectType, result.subjectId, "PASSWORD_RESET");
+      res.json({ ok: true, message: "Şifreniz güncellendi." });
+    } catch (e) {
+      res.status(500).json({ ok: false, message: "Reset password hata", error: String(e) });
+    }
+  };
+}
+
+const otpSendLimit = limit([rule("otp-send:ip", byIp), rule("otp-send:account", byAccount)]);
+const otpVerifyLimit = limit([rule("otp-verify:ip", byIp)]);
+
+app.post("/auth/password/forgot", otpSendLimit, forgotPasswordHandler("USER"));
+app.post("/auth/password/verify", otpVerifyLimit, verifyResetCodeHandler("USER"));
+app.post("/auth/password/reset", resetPasswordHandler("USER"));
+
+app.post("/drivers/password/forgot", otpSendLimit, forgotPasswordHandler("DRIVER"));
+app.post("/drivers/password/verify", otpVerifyLimit, verifyResetCodeHandler("DRIVER"));
+app.post("/drivers/password/reset", resetPasswordHandler("DRIVER"));
+
+/* =========================
+   DRIVER APPLICATION (başvuru + belgeler)
+========================= */
+
+const storage = createStorage();
+
+// Form alanı -> belge türü (her biri tek dosya, hepsi zorunlu)
+const DOCUMENT_FIELDS = { license: "LICENSE", idCard: "ID_CARD", vehicle: "VEHICLE" };
+const DOCUMENT_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "application/pdf"]);
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// Dosyalar önce belleğe alınır, başvuru doğrulanınca storage'a yazılır
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: Object.keys(DOCUMENT_FIELDS).length },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.has(file.mimetype)) return cb(null, true);
+    cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+  },
+}).fields(Object.keys(DOCUMENT_FIELDS).map((name) => ({ name, maxCount: 1 })));
+
+// Multer hatalarını 500 yerine 400 JSON olarak dön
+function uploadDocuments(req, res, next) {
+  documentUpload(req, res, (err) => {
+    if (!err) return next();
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? "Dosya en fazla 5 MB olabilir."
+        : err.code === "LIMIT_UNEXPECTED_FILE"
+          ? `Geçersiz dosya alanı veya türü: ${err.field} (jpeg/png/webp/pdf; license, idCard, vehicle)`
+          : "Dosya yüklenemedi.";
+    res.status(400).json({ ok: false, message });
   });
+}
 
-  // Offers oluştur
-  const { count, expiresAt } = await createOffersForRide({
-    ride: { ...ride, pickupLat: ride.pickupLat, pickupLng: ride.pickupLng, id: ride.id },
-    radiusKm,
-    ttlSeconds,
+const APPLICATION_SELECT = {
+  id: true,
+  status: true,
+  fullName: true,
+  address: true,
+  vehiclePlate: true,
+  vehicleModel: true,
+  reviewNote: true,
+  reviewedAt: true,
+  submittedAt: true,
+  documents: {
+    select: { id: true, type: true, originalName: true, mimeType: true, size: true, createdAt: true },
+    orderBy: { type: "asc" },
+  },
+};
+
+function parseApplicationInput(body, { partial }) {
+  const b = body || {};
+  const data = {};
+  const text = (v, max) => (v ?? "").toString().trim().slice(0, max);
+
+  if (!partial || b.fullName !== undefined) {
+    data.fullName = text(b.fullName, 120);
+    if (!data.fullName) return { error: "fullName gerekli." };
+  }
+  if (!partial || b.vehiclePlate !== undefined) {
+    data.vehiclePlate = text(b.vehiclePlate, 20).toUpperCase().replace(/\s+/g, " ");
+    if (!data.vehiclePlate) return { error: "vehiclePlate gerekli." };
+  }
+  if (b.address !== undefined) data.address = text(b.address, 300) || null;
+  if (b.vehicleModel !== undefined) data.vehicleModel = text(b.vehicleModel, 80) || null;
+
+  return { data };
+}
+
+app.get("/drivers/application", driverAuth, async (req, res) => {
+  try {
+    const application = await prisma.driverApplication.findUnique({
+      where: { driverId: req.driverId },
+      select: APPLICATION_SELECT,
+    });
+    res.json({ ok: true, application });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Application hata", error: String(e) });
+  }
+});
+
+// multipart/form-data: fullName, vehiclePlate, address?, vehicleModel? + license, idCard, vehicle dosyaları.
+// İlk gönderimde üç belge de zorunlu; PENDING / NEEDS_INFO başvuruda sadece değişen alan ve belgeler gönderilebilir.
+app.post("/drivers/application", driverAuth, uploadDocuments, async (req, res) => {
+  try {
+    const driver = await prisma.driver.findUnique({
+      where: { id: req.driverId },
+      select: { id: true, status: true, application: { include: { documents: true } } },
+    });
+    if (!driver) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı." });
+    if (driver.status !== "PENDING") {
+      return res.status(409).json({ ok: false, message: "Hesabınız için başvuru gerekmiyor." });
+    }
+
+    const existing = driver.application;
+    if (existing && !["PENDING", "NEEDS_INFO"].includes(existing.status)) {
+      return res.status(409).json({ ok: false, message: `Başvurunuz ${existing.status} durumunda, güncellenemez.` });
+    }
+
+    const { data, error } = parseApplicationInput(req.body, { partial: Boolean(existing) });
+    if (error) return res.status(400).json({ ok: false, message: error });
+
+    const uploads = Object.entries(DOCUMENT_FIELDS)
+      .map(([field, type]) => ({ type, file: req.files?.[field]?.[0] }))
+      .filter((u) => u.file);
+
+    const have = new Set([...(existing?.documents || []).map((d) => d.type), ...uploads.map((u) => u.type)]);
+    const missing = Object.values(DOCUMENT_FIELDS).filter((type) => !have.has(type));
+    if (missing.length > 0) {
+      return res.status(400).json({ ok: false, message: `Eksik belge: ${missing.join(", ")}` });
+    }
+
+    // Önce dosyaları yaz; DB işlemi başarısız olursa geri sil
+    const written = [];
+    try {
+      for (const u of uploads) {
+        const ext = path.extname(u.file.originalname || "").toLowerCase().slice(0, 10);
+        const storageKey = `driver-documents/${req.driverId}/${u.type.toLowerCase()}-${crypto.randomUUID()}${ext}`;
+        await storage.put(storageKey, u.file.buffer);
+        written.push({ ...u, storageKey });
+      }
+
+      const application = await prisma.$transaction(async (tx) => {
+        const saved = await tx.driverApplication.upsert({
+          where: { driverId: req.driverId },
+          create: { driverId: req.driverId, ...data },
+          update: { ...data, status: "PENDING", submittedAt: new Date() },
+        });
+
+        for (const w of written) {
+          const doc = {
+            storageKey: w.storageKey,
+            originalName: w.file.originalname || null,
+            mimeType: w.file.mimetype,
+            size: w.file.size,
+          };
+          await tx.driverDocument.upsert({
+            where: { applicationId_type: { applicationId: saved.id, type: w.type } },
+            create: { applicationId: saved.id, type: w.type, ...doc },
+            update: { ...doc, createdAt: new Date() },
+          });
+        }
+
+        return tx.driverApplication.findUnique({ where: { id: saved.id }, select: APPLICATION_SELECT });
+      });
+
+      // Yerine yenisi yüklenen eski belgeleri sil
+      const replaced = (existing?.documents || []).filter((d) => written.some((w) => w.type === d.type));
+      for (const d of replaced) {
+        await storage.remove(d.storageKey).catch((err) => console.error("storage remove error:", err));
+      }
+
+      res.json({ ok: true, application });
+    } catch (e) {
+      for (const w of written) await storage.remove(w.storageKey).catch(() => {});
+      throw e;
+    }
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Application submit hata", error: String(e) });
+  }
+});
+
+/* =========================
+   DRIVER LIVE STATUS / LOCATION
+========================= */
+
+// Sürücü: ONLINE/BUSY/OFFLINE (Panel düğmesi buraya bağlanacak)
+app.post("/drivers/availability", driverAuth, async (req, res) => {
+  try {
+    // Eski isOnline desteği de kalsın diye:
+    const { availability, isOnline } = req.body;
+
+    // availability gelirse onu kullan
+    let nextAvailability = null;
+    if (availability) {
+      const v = String(availability).toUpperCase();
+      if (!["ONLINE", "BUSY", "OFFLINE"].includes(v)) {
+        return res.status(400).json({ ok: false, message: "availability ONLINE/BUSY/OFFLINE olmalı." });
+      }
+      nextAvailability = v;
+    }
+
+    // availability yoksa isOnline'dan çevir (geriye dönük)
+    if (!nextAvailability && typeof isOnline !== "undefined") {
+      nextAvailability = Boolean(isOnline) ? "ONLINE" : "OFFLINE";
+    }
+
+    if (!nextAvailability) {
+      return res.status(400).json({ ok: false, message: "availability veya isOnline gönder." });
+    }
+
+    if (nextAvailability === "ONLINE" && !(await isDriverApproved(req.driverId))) {
+      return res.status(403).json({ ok: false, message: "Hesabınız onaylanmadan çevrim içi olamazsınız." });
+    }
+
+    const driver = await prisma.driver.update({
+      where: { id: req.driverId },
+      data: {
+        availability: nextAvailability,
+        // isOnline kolonunu da uyumlu tutalım
+        isOnline: nextAvailability === "ONLINE",
+      },
+      select: { id: true, isOnline: true, availability: true },
+    });
+
+    res.json({ ok: true, driver });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "availability update hata", error: String(e) });
+  }
+});
+
+// Sürücü konumu güncelle (5km/10km hesabı için şart)
+app.post("/drivers/location", driverAuth, async (req, res) => {
+  try {
+    const { lat, lng, accuracy, speed, heading } = req.body;
+    const fLat = Number(lat);
+    const fLng = Number(lng);
+    if (!Number.isFinite(fLat) || !Number.isFinite(fLng)) {
+      return res.status(400).json({ ok: false, message: "lat ve lng sayı olmalı." });
+    }
+
+    // Opsiyonel GPS detayları; geçersizse kaydetmiyoruz
+    const optNum = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+    const driver = await prisma.driver.update({
+      where: { id: req.driverId },
+      data: { lat: fLat, lng: fLng },
+      select: { id: true, lat: true, lng: true, availability: true, isOnline: true },
+    });
+
+    // Aktif ride varsa: rotaya nokta ekle ve müşterinin canlı takibine gönder
+    const activeRide = await prisma.rideRequest.findFirst({
+      where: { driverId: req.driverId, status: { in: ACTIVE_RIDE_STATUSES } },
+      select: { id: true, status: true },
+    });
+    if (activeRide) {
+      const point = await prisma.rideLocationPoint.create({
+        data: {
+          rideRequestId: activeRide.id,
+          driverId: req.driverId,
+          lat: fLat,
+          lng: fLng,
+          accuracy: optNum(accuracy),
+          speed: optNum(speed),
+          heading: optNum(heading),
+          rideStatus: activeRide.status,
+        },
+      });
+
+      hub.publish(`ride:${activeRide.id}`, "driver-location", {
+        rideId: activeRide.id,
+        lat: fLat,
+        lng: fLng,
+        at: point.recordedAt,
+      });
+    }
+
+    res.json({ ok: true, driver });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "location update hata", error: String(e) });
+  }
+});
+
+/* =========================
+   FARE
+========================= */
+
+async function resolveTariff({ region }) {
+  const tariffs = await prisma.tariff.findMany({ where: { isActive: true } });
+  return pickTariff(tariffs, { region });
+}
+
+// Pickup -> ara duraklar -> dropoff kuş uçuşu mesafe; pickup/dropoff koordinatı eksikse null.
+// Koordinatsız duraklar atlanır.
+function rideDistanceKm({ pickupLat, pickupLng, dropoffLat, dropoffLng, stops = [] }) {
+  if (pickupLat == null || pickupLng == null || dropoffLat == null || dropoffLng == null) return null;
+  return pathDistanceKm([
+    { lat: pickupLat, lng: pickupLng },
+    ...stops.filter((st) => st.lat != null && st.lng != null),
+    { lat: dropoffLat, lng: dropoffLng },
+  ]);
+}
+
+// Çağrı öncesi tahmini ücret; koordinat eksikse null
+async function estimateFare({ region, pickupLat, pickupLng, dropoffLat, dropoffLng, stops = [], at = new Date() }) {
+  const km = rideDistanceKm({ pickupLat, pickupLng, dropoffLat, dropoffLng, stops });
+  if (km == null) return null;
+
+  const tariff = await resolveTariff({ region });
+  const fare = calculateFare(tariff, { distanceKm: km, at });
+  return { tariffId: tariff.id, distanceKm: roundMoney(km), ...fare };
+}
+
+// COMPLETED anında kesin ücret alanları (transitionRide içinde, tx ile).
+// Mesafe: IN_PROGRESS GPS noktalarından gidilen yol, nokta yoksa pickup -> duraklar -> dropoff.
+// Bekleme: sürücünün gelişi (arrivedAt) ile yolculuğun başlaması (startedAt) arası.
+// Ayrılmış promosyon kodu varsa indirim düşülür; finalFare müşterinin ödeyeceği tutardır.
+async function finalFareFields(tx, ride) {
+  const quoted = ride.tariffId ? await tx.tariff.findUnique({ where: { id: ride.tariffId } }) : null;
+  const tariff = quoted || pickTariff(await tx.tariff.findMany({ where: { isActive: true } }), { region: ride.region });
+
+  // Gerçek rota varsa onu, yoksa kuş uçuşu mesafeyi kullan
+  const tripPoints = await tx.rideLocationPoint.findMany({
+    where: { rideRequestId: ride.id, rideStatus: "IN_PROGRESS" },
+    orderBy: { recordedAt: "asc" },
+    select: { lat: true, lng: true, recordedAt: true },
+  });
+  const travelledKm = tripPoints.length >= 2 ? travelledDistanceKm(tripPoints) : null;
+
+  const stops = travelledKm == null
+    ? await tx.rideStop.findMany({ where: { rideRequestId: ride.id }, orderBy: { position: "asc" } })
+    : [];
+  const km = travelledKm ?? rideDistanceKm({ ...ride, stops }) ?? 0;
+  const waitingMinutes =
+    ride.arrivedAt && ride.startedAt ? Math.max(0, (ride.startedAt - ride.arrivedAt) / 60000) : 0;
+
+  const fare = calculateFare(tariff, { distanceKm: km, waitingMinutes, at: ride.startedAt || new Date() });
+
+  const redemption = await tx.promoRedemption.findFirst({
+    where: { rideRequestId: ride.id, status: "RESERVED" },
+    include: { promoCode: true },
+  });
+  // Bölge sonradan değiştiyse kod geçersiz; settlePromoRedemption rezervasyonu bırakır
+  const regionOk = !redemption?.promoCode.region || redemption.promoCode.region === normRegion(ride.region);
+  const discount = redemption && regionOk ? promoDiscount(redemption.promoCode, fare.total) : 0;
+
+  return {
+    tariffId: tariff.id,
+    finalDistanceKm: roundMoney(km),
+    travelledDistanceKm: travelledKm,
+    waitingMinutes: roundMoney(waitingMinutes),
+    finalFare: roundMoney(fare.total - discount),
+    discountAmount: discount > 0 ? discount : null,
+    fareBreakdown: {
+      ...fare.breakdown,
+      currency: fare.currency,
+      ...(redemption ? { fareBeforeDiscount: fare.total, promoCode: redemption.promoCode.code, discount } : {}),
+    },
+  };
+}
+
+// Ride bitince ayrılmış promosyonu kapat: indirim uygulandıysa APPLIED, yoksa RELEASED (hak geri verilir).
+// transitionRide içinde, ride güncellemesi başarılı olduktan sonra çağrılır.
+async function settlePromoRedemption(tx, rideId, to, discount) {
+  const redemption = await tx.promoRedemption.findFirst({ where: { rideRequestId: rideId, status: "RESERVED" } });
+  if (!redemption) return;
+
+  if (to === "COMPLETED" && discount > 0) {
+    await tx.promoRedemption.update({
+      where: { id: redemption.id },
+      data: { status: "APPLIED", discount, appliedAt: new Date() },
+    });
+    return;
+  }
+
+  await tx.promoRedemption.update({
+    where: { id: redemption.id },
+    data: { status: "RELEASED", releasedAt: new Date() },
+  });
+  await tx.promoCode.update({ where: { id: redemption.promoCodeId }, data: { usedCount: { decrement: 1 } } });
+}
+
+/* =========================
+   RIDE LIFECYCLE
+========================= */
+
+// Ride zaman çizelgesi (RideEvent). actor: { type: CUSTOMER | DRIVER | ADMIN | SYSTEM, id }
+const SYSTEM_ACTOR = { type: "SYSTEM", id: null };
+
+// Transaction içinde: hata olursa işlemle birlikte geri alınır
+async function recordRideEvent(db, rideRequestId, type, { actor = SYSTEM_ACTOR, payload = null } = {}) {
+  await db.rideEvent.create({
+    data: { rideRequestId, type, actorType: actor.type, actorId: actor.id ?? null, payload: payload ?? undefined },
+  });
+}
+
+// Transaction dışında: kayıt yazılamazsa asıl akış (arama, teklif) durmasın
+async function logRideEvent(rideRequestId, type, options) {
+  try {
+    await recordRideEvent(prisma, rideRequestId, type, options);
+  } catch (e) {
+    console.error("ride event log error:", e);
+  }
+}
+
+// Ride status değişiminin tek yolu. Geçiş tablosunu kontrol eder, zaman damgasını basar;
+// terminal durumlarda bekleyen teklifleri düşürür ve sürücüyü serbest bırakır.
+// Transaction içinde çağrılır; commit sonrası afterRideTransition ile bildirimler yapılır.
+// Her geçiş, yapanla (actor) birlikte STATUS_CHANGED olarak zaman çizelgesine yazılır.
+async function transitionRide(tx, ride, to, data = {}, actor = SYSTEM_ACTOR) {
+  if (!canTransition(ride.status, to)) {
+    return { ok: false, code: 409, message: `${ride.status} → ${to} geçişi yapılamaz.` };
+  }
+
+  const stamp = TRANSITION_TIMESTAMPS[to];
+
+  // Yolculuk bittiğinde kesin ücreti hesapla
+  if (to === "COMPLETED") Object.assign(data, await finalFareFields(tx, ride));
+
+  // Ücret doğduysa tahsilat bekliyor; ödeme işi afterRideTransition'da planlanır
+  const chargeable = to === "COMPLETED" || (to === "CANCELED" && data.cancellationFee > 0);
+  if (chargeable) data.paymentStatus = "PENDING";
+
+  // Aynı anda başka bir değişiklik olduysa (ör. iki sürücü birden kabul) ikincisi düşer
+  const updated = await tx.rideRequest.updateMany({
+    where: { id: ride.id, status: ride.status },
+    data: { ...data, status: to, ...(stamp ? { [stamp]: new Date() } : {}) },
+  });
+  if (updated.count === 0) {
+    return { ok: false, code: 409, message: "Ride durumu değişti, tekrar dene." };
+  }
+
+  let openOffers = [];
+  if (TERMINAL_RIDE_STATUSES.includes(to)) {
+    await settlePromoRedemption(tx, ride.id, to, data.discountAmount ?? 0);
+
+    openOffers = await tx.rideOffer.findMany({
+      where: { rideRequestId: ride.id, status: "SENT" },
+      select: { id: true, driverId: true },
+    });
+    await tx.rideOffer.updateMany({
+      where: { rideRequestId: ride.id, status: "SENT" },
+      data: { status: "EXPIRED" },
+    });
+
+    if (ride.driverId) await releaseDriver(tx, ride.driverId, ride.id);
+  }
+
+  await recordRideEvent(tx, ride.id, "STATUS_CHANGED", {
+    actor,
+    payload: {
+      from: ride.status,
+      to,
+      driverId: data.driverId ?? ride.driverId ?? null,
+      ...(data.cancelReason ? { cancelReason: data.cancelReason, cancellationFee: data.cancellationFee ?? null } : {}),
+      ...(to === "COMPLETED" ? { finalFare: data.finalFare, discountAmount: data.discountAmount ?? null } : {}),
+      ...(openOffers.length > 0
+        ? { expiredOffers: openOffers.map((o) => ({ offerId: o.id, driverId: o.driverId })) }
+        : {}),
+    },
+  });
+
+  return { ok: true, transition: { rideId: ride.id, from: ride.status, to, openOffers, chargeable } };
+}
+
+// Başka aktif ride'ı yoksa BUSY sürücüyü tekrar ONLINE yap
+async function releaseDriver(tx, driverId, rideId) {
+  const otherActive = await tx.rideRequest.count({
+    where: { driverId, id: { not: rideId }, status: { in: ACTIVE_RIDE_STATUSES } },
+  });
+  if (otherActive > 0) return;
+
+  await tx.driver.updateMany({
+    where: { id: driverId, availability: "BUSY" },
+    data: { availability: "ONLINE", isOnline: true },
+  });
+}
+
+async function afterRideTransition({ rideId, to, openOffers, chargeable = false }) {
+  // Arama bittiyse faz / dalga işlerini durdur
+  if (to === "ACCEPTED" || TERMINAL_RIDE_STATUSES.includes(to)) {
+    await scheduler.cancel({ rideRequestId: rideId });
+  }
+  if (chargeable) await scheduleRidePayment(rideId);
+
+  for (const o of openOffers) {
+    pushToDriver(o.driverId, "offer-expired", { offerId: o.id, rideRequestId: rideId });
+  }
+  await publishRideUpdate(rideId);
+}
+
+// Transaction + bildirim birlikte (tek adımlık geçişler için)
+async function changeRideStatus(rideId, to, data = {}, actor = SYSTEM_ACTOR) {
+  const result = await prisma.$transaction(async (tx) => {
+    const ride = await tx.rideRequest.findUnique({ where: { id: rideId } });
+    if (!ride) return { ok: false, code: 404, message: "Ride bulunamadı" };
+    return transitionRide(tx, ride, to, data, actor);
+  });
+
+  if (result.ok) await afterRideTransition(result.transition);
+  return result;
+}
+
+/* =========================
+   PAYMENTS + LEDGER
+========================= */
+
+// Kart sağlayıcısı ilk kart işleminde oluşturulur; yapılandırılmamışsa sunucu açılır, sadece kart işlemleri reddedilir
+const PAYMENT_PROVIDER_ISSUE = paymentProviderIssue();
+if (PAYMENT_PROVIDER_ISSUE) {
+  console.warn(`⚠️ Kartla ödeme / cüzdan yükleme / karta iade kapalı: ${PAYMENT_PROVIDER_ISSUE}`);
+}
+
+let paymentProviderInstance = null;
+function paymentProvider() {
+  paymentProviderInstance ??= createPaymentProvider();
+  return paymentProviderInstance;
+}
+
+const PAYMENT_METHODS = new Set(["CASH", "CARD", "WALLET"]);
+
+// Ücretten platformun aldığı pay (0-1); kalan sürücünün
+const COMMISSION_RATE = (() => {
+  const n = Number(process.env.COMMISSION_RATE ?? 0.2);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : 0.2;
+})();
+
+function rideCurrency(ride) {
+  return ride.fareBreakdown?.currency || "TRY";
+}
+
+// Cüzdan hareketlerini müşteri bazında sıraya sokar (aynı anda iki çekim bakiyeyi aşmasın)
+async function lockWallet(tx, userId) {
+  await tx.$queryRaw`SELECT "id" FROM "User" WHERE "id" = ${userId} FOR UPDATE`;
+}
+
+// Ride'ın para hareketlerini (iade) sıraya sokar: iade edilebilir tutar kontrolü ile kayıt arasında yarış olmasın
+async function lockRide(tx, rideId) {
+  await tx.$queryRaw`SELECT "id" FROM "RideRequest" WHERE "id" = ${rideId} FOR UPDATE`;
+}
+
+// Cüzdan alacak bakiyesi tutar; kullanılabilir bakiye pozitif döner
+async function walletBalance(db, userId) {
+  return -(await accountBalance(db, account.wallet(userId))) || 0;
+}
+
+// Ride ücretinin deftere yazılışı: müşteri borçlanır, sürücü payını ve platform komisyonunu alır.
+// Promosyon indirimini platform karşılar; komisyon indirim öncesi tutardan hesaplanır.
+function rideChargeOf(ride) {
+  const isFee = ride.status === "CANCELED";
+  const amount = isFee ? ride.cancellationFee : ride.finalFare;
+  if (amount == null) return null;
+
+  const discount = isFee ? 0 : ride.discountAmount ?? 0;
+  const gross = roundMoney(amount + discount);
+  const commission = ride.driverId ? roundMoney(gross * COMMISSION_RATE) : gross;
+
+  return {
+    type: isFee ? "CANCELLATION_FEE" : "RIDE_CHARGE",
+    amount,
+    entries: [
+      { ...account.customer(ride.customerId), amount },
+      { ...account.platform(), amount: discount },
+      ...(ride.driverId ? [{ ...account.driver(ride.driverId), amount: -(gross - commission) }] : []),
+      { ...account.platform(), amount: -commission },
+    ],
+  };
+}
+
+// Seçilen yöntemle tahsilat; PAID | PENDING | FAILED döner.
+// Sadece ödemeyi üstlenen (claimRidePayment) çağırır. Kayıtlar idempotencyKey ile korunur;
+// kart sağlayıcısına da aynı referans gider (süreç yarıda kalıp tekrar denenirse çift çekim olmasın).
+async function collectRidePayment(ride, amount) {
+  const key = `ride:${ride.id}:payment`;
+  const base = {
+    type: "PAYMENT",
+    rideRequestId: ride.id,
+    paymentMethod: ride.paymentMethod,
+    currency: rideCurrency(ride),
+    idempotencyKey: key,
+  };
+
+  if (await prisma.ledgerTransaction.findUnique({ where: { idempotencyKey: key } })) return "PAID";
+
+  if (ride.paymentMethod === "CASH") {
+    // Nakiti sürücü alır; ücretli iptalde tahsil edilemez, borç müşteride kalır
+    if (ride.status !== "COMPLETED" || !ride.driverId) return "PENDING";
+    await postLedgerTransaction(prisma, {
+      ...base,
+      description: "Nakit tahsilat (sürücü)",
+      entries: [
+        { ...account.driver(ride.driverId), amount },
+        { ...account.customer(ride.customerId), amount: -amount },
+      ],
+    });
+    return "PAID";
+  }
+
+  if (ride.paymentMethod === "WALLET") {
+    return prisma.$transaction(async (tx) => {
+      await lockWallet(tx, ride.customerId);
+      if ((await walletBalance(tx, ride.customerId)) < amount) return "FAILED";
+
+      await postLedgerTransaction(tx, {
+        ...base,
+        description: "Cüzdandan ödeme",
+        entries: [
+          { ...account.wallet(ride.customerId), amount },
+          { ...account.customer(ride.customerId), amount: -amount },
+        ],
+      });
+      return "PAID";
+    });
+  }
+
+  const result = await paymentProvider().capture({
+    amount,
+    currency: base.currency,
+    customerId: ride.customerId,
+    reference: key,
   });
+  if (!result.ok) {
+    console.warn(`ride ${ride.id} kart çekimi başarısız:`, result.error);
+    return "FAILED";
+  }
+
+  await postLedgerTransaction(prisma, {
+    ...base,
+    description: "Kartla ödeme",
+    providerRef: result.providerRef,
+    entries: [
+      { ...account.provider(), amount },
+      { ...account.customer(ride.customerId), amount: -amount },
+    ],
+  });
+  return "PAID";
+}
+
+async function scheduleRidePayment(rideId) {
+  await scheduler.schedule(JOB_RIDE_PAYMENT, {
+    runAt: new Date(),
+    payload: { rideRequestId: rideId },
+    key: `ride:${rideId}:payment`,
+    rideRequestId: rideId,
+  });
+}
+
+// Bu süreden uzun PROCESSING kalan ödeme (süreç çöktü) yeniden üstlenilebilir
+const PAYMENT_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Ödemeyi PENDING / FAILED -> PROCESSING yaparak üstlenir; job ve müşteri tekrar denemesi aynı anda tahsil etmesin
+async function claimRidePayment(rideId) {
+  const claimed = await prisma.rideRequest.updateMany({
+    where: {
+      id: rideId,
+      OR: [
+        { paymentStatus: { in: ["PENDING", "FAILED"] } },
+        { paymentStatus: "PROCESSING", updatedAt: { lt: new Date(Date.now() - PAYMENT_CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    data: { paymentStatus: "PROCESSING" },
+  });
+  return claimed.count > 0;
+}
+
+// Job: ücreti deftere yaz + tahsil et. Tekrar çalışması güvenli (sağlayıcı hatasında scheduler yeniden dener).
+// Başka biri tahsil ediyorsa PROCESSING döner ve bir şey yapmaz.
+async function onRidePayment({ rideRequestId }) {
+  const ride = await prisma.rideRequest.findUnique({ where: { id: rideRequestId } });
+  if (!ride || ride.paymentStatus === "PAID") return ride?.paymentStatus ?? null;
+
+  const charge = rideChargeOf(ride);
+  if (!charge) return ride.paymentStatus;
+
+  if (!(await claimRidePayment(ride.id))) {
+    const current = await prisma.rideRequest.findUnique({ where: { id: ride.id }, select: { paymentStatus: true } });
+    return current?.paymentStatus ?? null;
+  }
+
+  let status;
+  try {
+    await postLedgerTransaction(prisma, {
+      type: charge.type,
+      rideRequestId: ride.id,
+      currency: rideCurrency(ride),
+      idempotencyKey: `ride:${ride.id}:charge`,
+      entries: charge.entries,
+    });
+
+    status = charge.amount > 0 ? await collectRidePayment(ride, charge.amount) : "PAID";
+  } catch (e) {
+    // Üstlenmeyi bırak; scheduler / müşteri tekrar deneyebilsin
+    await prisma.rideRequest.updateMany({
+      where: { id: ride.id, paymentStatus: "PROCESSING" },
+      data: { paymentStatus: ride.paymentStatus },
+    });
+    throw e;
+  }
+
+  await prisma.rideRequest.update({
+    where: { id: ride.id },
+    data: { paymentStatus: status, paidAt: status === "PAID" ? new Date() : null },
+  });
+
+  if (status !== ride.paymentStatus) {
+    await logRideEvent(ride.id, "PAYMENT_STATUS", {
+      payload: { from: ride.paymentStatus, to: status, method: ride.paymentMethod, amount: charge.amount },
+    });
+    await publishRideUpdate(ride.id);
+  }
+  return status;
+}
+
+/* =========================
+   MATCHING / SEARCH ENGINE
+========================= */
+
+// SENT teklifleri EXPIRED yapar ve ilgili sürücülere haber verir.
+// reason: TIMEOUT (süre doldu) | DRIVER_OFFLINE | DRIVER_SUSPENDED — zaman çizelgesine yazılır.
+async function expireOffers(where, reason = "TIMEOUT") {
+  const candidates = await prisma.rideOffer.findMany({ where: { ...where, status: "SENT" }, select: { id: true } });
+  if (candidates.length === 0) return [];
+
+  // Sadece bu güncellemenin değiştirdiği satırlar: arada kabul / reddedilen teklif için haber ve kayıt gitmez
+  const stale = await prisma.$queryRaw`
+    UPDATE "RideOffer" SET "status" = 'EXPIRED'
+    WHERE "id" = ANY(${candidates.map((o) => o.id)}::int[]) AND "status" = 'SENT'
+    RETURNING "id", "driverId", "rideRequestId", "phase", "wave"
+  `;
+
+  const byRide = new Map();
+  for (const o of stale) {
+    pushToDriver(o.driverId, "offer-expired", { offerId: o.id, rideRequestId: o.rideRequestId });
+    if (!byRide.has(o.rideRequestId)) byRide.set(o.rideRequestId, []);
+    byRide.get(o.rideRequestId).push({ offerId: o.id, driverId: o.driverId, phase: o.phase, wave: o.wave });
+  }
+  for (const [rideRequestId, offers] of byRide) {
+    await logRideEvent(rideRequestId, "OFFERS_EXPIRED", { payload: { reason, offers } });
+  }
+  return stale;
+}
+
+async function expireOldOffers(rideRequestId) {
+  return expireOffers({ rideRequestId, expiresAt: { lte: new Date() } });
+}
+
+// Bir aramada değerlendirilecek en fazla sürücü
+const MATCH_CANDIDATE_LIMIT = Number(process.env.MATCH_CANDIDATE_LIMIT) || 100;
+
+// Pickup çevresindeki online sürücüler, yakından uzağa.
+// Önce (lat, lng) index'i ile kutu filtresi, sonra kesin mesafe SQL'de Haversine ile (distanceKm ile aynı formül).
+// Konumu olmayan sürücüler BETWEEN ile zaten elenir.
+// excludeIds: bu sürücüler LIMIT'ten önce elenir (RANKED'de daha önce teklif gidenler)
+async function findDriversNear({ lat, lng, radiusKm, limit = MATCH_CANDIDATE_LIMIT, excludeIds = [] }) {
+  // Yarıçapın derece karşılığı (+%1 pay: kutu daireyi her zaman kapsasın)
+  const latDelta = ((radiusKm / 6371) * (180 / Math.PI)) * 1.01;
+  const lngDelta = latDelta / Math.max(Math.cos(toRad(lat)), 0.01);
+
+  return prisma.$queryRaw`
+    SELECT * FROM (
+      SELECT
+        d."id",
+        d."lat",
+        d."lng",
+        d."availability"::text AS "availability",
+        d."isOnline",
+        6371 * 2 * ASIN(LEAST(1, SQRT(
+          POWER(SIN(RADIANS(d."lat" - ${lat}::double precision) / 2), 2) +
+          COS(RADIANS(${lat}::double precision)) * COS(RADIANS(d."lat")) *
+          POWER(SIN(RADIANS(d."lng" - ${lng}::double precision) / 2), 2)
+        ))) AS "distanceKm"
+      FROM "Driver" d
+      WHERE (d."availability" = 'ONLINE' OR d."isOnline" = true)
+        AND d."status" = 'APPROVED'
+        AND d."lat" BETWEEN ${lat - latDelta}::double precision AND ${lat + latDelta}::double precision
+        AND d."lng" BETWEEN ${lng - lngDelta}::double precision AND ${lng + lngDelta}::double precision
+        AND d."id" <> ALL(${excludeIds}::int[])
+    ) c
+    WHERE c."distanceKm" <= ${radiusKm}::double precision
+    ORDER BY c."distanceKm" ASC
+    LIMIT ${limit}::int
+  `;
+}
+
+// Son 7 günün teklif geçmişinden kabul oranı ve son kabul zamanı (RANKED puanlama için)
+async function loadDriverRankStats(driverIds) {
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [byStatus, lastAccepted] = await Promise.all([
+    prisma.rideOffer.groupBy({
+      by: ["driverId", "status"],
+      where: {
+        driverId: { in: driverIds },
+        sentAt: { gte: since },
+        status: { in: ["ACCEPTED", "REJECTED", "EXPIRED"] },
+      },
+      _count: { _all: true },
+    }),
+    prisma.rideOffer.groupBy({
+      by: ["driverId"],
+      where: { driverId: { in: driverIds }, status: "ACCEPTED" },
+      _max: { acceptedAt: true },
+    }),
+  ]);
+
+  const stats = new Map(driverIds.map((id) => [id, { accepted: 0, total: 0, lastAcceptedAt: null }]));
+  for (const row of byStatus) {
+    const st = stats.get(row.driverId);
+    st.total += row._count._all;
+    if (row.status === "ACCEPTED") st.accepted += row._count._all;
+  }
+  for (const row of lastAccepted) stats.get(row.driverId).lastAcceptedAt = row._max.acceptedAt;
+  return stats;
+}
+
+// expiresAt: fazın bitişi; offerExpiresAt: teklifin bitişi (RANKED modda dalga bitişi).
+// waveLimit verilirse RANKED: daha önce teklif gitmemiş sürücüler puanlanır, ilk waveLimit kadarına gider.
+async function createOffersForRide({
+  ride,
+  phase,
+  radiusKm,
+  expiresAt,
+  offerExpiresAt = expiresAt,
+  wave = null,
+  waveLimit = null,
+}) {
+  // RANKED: daha önce teklif giden sürücüler aday sorgusunda elenir (yoğun bölgede LIMIT'i doldurmasınlar)
+  const offered = waveLimit
+    ? await prisma.rideOffer.findMany({ where: { rideRequestId: ride.id }, select: { driverId: true, phase: true } })
+    : [];
+  const excludeIds = [...new Set(offered.map((o) => o.driverId))];
+
+  let chosen;
+
+  if (ride.pickupLat != null && ride.pickupLng != null) {
+    // Konum varsa yarıçap filtresi DB'de (en yakından uzağa)
+    chosen = await findDriversNear({ lat: ride.pickupLat, lng: ride.pickupLng, radiusKm, excludeIds });
+  } else {
+    // Onaylı, online & müsait sürücüler: availability ONLINE veya isOnline true (geri uyum)
+    const candidates = await prisma.driver.findMany({
+      where: {
+        status: "APPROVED",
+        id: { notIn: excludeIds },
+        OR: [
+          { availability: "ONLINE" },
+          { isOnline: true },
+        ],
+      },
+      select: { id: true, lat: true, lng: true, availability: true, isOnline: true },
+      take: MATCH_CANDIDATE_LIMIT,
+    });
+    chosen = candidates.map((d) => ({ ...d, distanceKm: null }));
+  }
+
+  if (chosen.length === 0) return { count: 0, remaining: 0, expiresAt };
+
+  // Offer createMany (aynı sürücüye iki kere gitmesin diye skipDuplicates)
+  let data = chosen.map((d) => ({
+    rideRequestId: ride.id,
+    driverId: d.id,
+    status: "SENT",
+    phase,
+    expiresAt: offerExpiresAt,
+  }));
+  let remaining = 0;
+
+  if (waveLimit) {
+    const ranked = rankCandidates(chosen, {
+      radiusKm,
+      stats: await loadDriverRankStats(chosen.map((d) => d.id)),
+    });
+    const picks = ranked.slice(0, waveLimit);
+    remaining = ranked.length - picks.length;
+
+    // Sıra faz içinde devam eder (2. dalganın ilk sürücüsü rank 2 olur)
+    const rankOffset = offered.filter((o) => o.phase === phase).length;
+    data = picks.map((d, i) => ({
+      rideRequestId: ride.id,
+      driverId: d.id,
+      status: "SENT",
+      phase,
+      wave,
+      rank: rankOffset + i + 1,
+      score: d.score,
+      expiresAt: offerExpiresAt,
+    }));
+  }
+
+  const created = await prisma.rideOffer.createMany({
+    data,
+    skipDuplicates: true,
+  });
+
+  // RideRequest üzerinde arama bilgisi güncelle (bu arada iptal edildiyse dokunma)
+  await prisma.rideRequest.updateMany({
+    where: { id: ride.id, status: { in: ["OPEN", "SEARCHING"] } },
+    data: {
+      status: "SEARCHING",
+      searchRadiusKm: radiusKm,
+      expiresAt,
+    },
+  });
+
+  // Yeni teklifleri sürücülere anında gönder
+  if (created.count > 0) {
+    const offers = await prisma.rideOffer.findMany({
+      where: {
+        rideRequestId: ride.id,
+        driverId: { in: data.map((d) => d.driverId) },
+        status: "SENT",
+        expiresAt: offerExpiresAt,
+      },
+      include: OFFER_INCLUDE,
+    });
+    for (const offer of offers) pushToDriver(offer.driverId, "offer-created", { offer });
+
+    const distanceOf = new Map(chosen.map((d) => [d.id, d.distanceKm]));
+    await logRideEvent(ride.id, "OFFERS_SENT", {
+      payload: {
+        phase,
+        wave,
+        radiusKm,
+        expiresAt: offerExpiresAt,
+        offers: offers.map((o) => ({
+          offerId: o.id,
+          driverId: o.driverId,
+          rank: o.rank,
+          score: o.score,
+          distanceKm: distanceOf.get(o.driverId) ?? null,
+        })),
+      },
+    });
+  }
+
+  return { count: created.count, remaining, expiresAt };
+}
+
+// Ride için dispatch politikası seç (region > konum alanı > varsayılan)
+async function resolveDispatchPolicy({ region, pickupLat, pickupLng }) {
+  const policies = await prisma.dispatchPolicy.findMany({ where: { isActive: true } });
+  return pickPolicy(policies, { region, pickupLat, pickupLng });
+}
+
+// Ride'a kayıtlı politikanın faz tablosu; politika yoksa/silindiyse varsayılan
+function phasesOf(ride) {
+  const phases = ride?.dispatchPolicy?.phases;
+  return Array.isArray(phases) && phases.length > 0 ? phases : DEFAULT_DISPATCH_PHASES;
+}
+
+// Politikası olmayan ride'lar için dispatch modu (DISPATCH_MODE=RANKED ile değişir)
+const DEFAULT_DISPATCH_MODE =
+  String(process.env.DISPATCH_MODE || "").toUpperCase() === "RANKED" ? "RANKED" : "BROADCAST";
+
+function waveConfigOf(ride) {
+  const p = ride?.dispatchPolicy;
+  return {
+    mode: p?.dispatchMode || DEFAULT_DISPATCH_MODE,
+    waveSizes: Array.isArray(p?.waveSizes) && p.waveSizes.length > 0 ? p.waveSizes : DEFAULT_WAVE_SIZES,
+    waveTtlSeconds: p?.waveTtlSeconds || DEFAULT_WAVE_TTL_SECONDS,
+  };
+}
+
+// runPhase / faz işleri için ride alanları
+const RIDE_SEARCH_SELECT = {
+  id: true,
+  status: true,
+  driverId: true,
+  pickupLat: true,
+  pickupLng: true,
+  phase: true,
+  expiresAt: true,
+  dispatchPolicy: {
+    select: { phases: true, dispatchMode: true, waveSizes: true, waveTtlSeconds: true },
+  },
+};
+
+// Faz motoru: fazlar ride'ın dispatch politikasından gelir, hepsi biterse FAILED
+async function runRideSearch(rideRequestId) {
+  // Faz-1
+  await runPhase(rideRequestId, 1);
+}
+
+async function runPhase(rideRequestId, phase) {
+  // önce expire
+  await expireOldOffers(rideRequestId);
+
+  const ride = await prisma.rideRequest.findUnique({
+    where: { id: rideRequestId },
+    select: RIDE_SEARCH_SELECT,
+  });
+
+  if (!ride) return;
+
+  // zaten bitti mi?
+  if (ride.driverId || ["ACCEPTED", "ARRIVING", "IN_PROGRESS", "COMPLETED", "CANCELED", "FAILED"].includes(ride.status)) {
+    return;
+  }
+
+  const phases = phasesOf(ride);
+  const lastPhase = phases.length;
+
+  // Politika arama sırasında kısaltılmış olabilir
+  if (phase > lastPhase) return failRideSearch(rideRequestId);
+
+  const { radiusKm, ttlSeconds } = phases[phase - 1];
+
+  // Ride üzerinde phase yaz
+  await prisma.rideRequest.update({
+    where: { id: rideRequestId },
+    data: { phase },
+  });
+
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  const mode = waveConfigOf(ride).mode;
+  await logRideEvent(rideRequestId, "PHASE_STARTED", { payload: { phase, radiusKm, ttlSeconds, mode, expiresAt } });
+
+  // Offers oluştur: BROADCAST herkese, RANKED ilk dalgaya
+  const { count } =
+    mode === "RANKED"
+      ? await dispatchWave({ ride, phase, radiusKm, expiresAt, wave: 1 })
+      : await createOffersForRide({ ride, phase, radiusKm, expiresAt });
+
+  await publishRideUpdate(rideRequestId);
+
+  // Hiç sürücü yoksa direkt bir sonraki faza geç / veya fail
+  if (count === 0) {
+    await logRideEvent(rideRequestId, "NO_DRIVERS_FOUND", { payload: { phase, radiusKm } });
+    if (phase < lastPhase) return runPhase(rideRequestId, phase + 1);
+
+    await failRideSearch(rideRequestId);
+    return;
+  }
+
+  // Süre bitince kontrol et (DB'de kalıcı; restart olsa da çalışır)
+  await scheduler.schedule(JOB_PHASE_DEADLINE, {
+    runAt: expiresAt,
+    payload: { rideRequestId, phase },
+    key: `ride:${rideRequestId}:phase:${phase}`,
+    rideRequestId,
+  });
+}
+
+// RANKED: bir dalga teklif gönder, faz bitmeden aday kaldıysa sıradaki dalgayı planla
+async function dispatchWave({ ride, phase, radiusKm, expiresAt, wave }) {
+  const { waveSizes, waveTtlSeconds } = waveConfigOf(ride);
+  const waveEndsAt = new Date(Math.min(Date.now() + waveTtlSeconds * 1000, expiresAt.getTime()));
+
+  const result = await createOffersForRide({
+    ride,
+    phase,
+    radiusKm,
+    expiresAt,
+    offerExpiresAt: waveEndsAt,
+    wave,
+    waveLimit: waveSize(waveSizes, wave),
+  });
+
+  if (result.count > 0 && result.remaining > 0 && waveEndsAt < expiresAt) {
+    await scheduler.schedule(JOB_DISPATCH_WAVE, {
+      runAt: waveEndsAt,
+      payload: { rideRequestId: ride.id, phase, wave: wave + 1 },
+      key: `ride:${ride.id}:phase:${phase}:wave:${wave + 1}`,
+      rideRequestId: ride.id,
+    });
+  }
+
+  return result;
+}
+
+// Dalga süresi doldu: önceki dalganın teklifleri düşer, sıradaki adaylara gider
+async function onDispatchWave({ rideRequestId, phase, wave }) {
+  await expireOldOffers(rideRequestId);
+
+  const ride = await prisma.rideRequest.findUnique({
+    where: { id: rideRequestId },
+    select: RIDE_SEARCH_SELECT,
+  });
+
+  if (!ride || ride.driverId || ride.status !== "SEARCHING" || ride.phase !== phase) return;
+  if (!ride.expiresAt || ride.expiresAt <= new Date()) return;
+
+  const { radiusKm } = phasesOf(ride)[phase - 1] || {};
+  if (radiusKm == null) return;
+
+  await dispatchWave({ ride, phase, radiusKm, expiresAt: ride.expiresAt, wave });
+}
+
+async function failRideSearch(rideRequestId) {
+  await changeRideStatus(rideRequestId, "FAILED", { expiresAt: null });
+}
+
+// Faz süresi doldu: çağrı alınmadıysa sonraki faza geç, son fazdaysa FAILED
+async function onPhaseDeadline({ rideRequestId, phase }) {
+  await expireOldOffers(rideRequestId);
+
+  const latest = await prisma.rideRequest.findUnique({
+    where: { id: rideRequestId },
+    select: RIDE_SEARCH_SELECT,
+  });
+
+  if (!latest) return;
+  if (latest.driverId || ["ACCEPTED", "ARRIVING", "IN_PROGRESS", "COMPLETED", "CANCELED", "FAILED"].includes(latest.status)) return;
+
+  // Ride başka bir faza geçmişse bu iş eskidir
+  if (latest.phase !== phase) return;
+
+  // Admin'in elle gönderdiği teklif bekliyorsa faz, teklif bitene kadar uzar (ride FAILED olup teklif düşmesin)
+  const manual = await prisma.rideOffer.findFirst({
+    where: { rideRequestId, status: "SENT", dispatchedByAdminId: { not: null }, expiresAt: { gt: new Date() } },
+    orderBy: { expiresAt: "desc" },
+    select: { expiresAt: true },
+  });
+  if (manual) {
+    await scheduler.schedule(JOB_PHASE_DEADLINE, {
+      runAt: manual.expiresAt,
+      payload: { rideRequestId, phase },
+      key: `ride:${rideRequestId}:phase:${phase}`,
+      rideRequestId,
+    });
+    return;
+  }
+
+  if (phase < phasesOf(latest).length) {
+    await runPhase(rideRequestId, phase + 1);
+  } else {
+    await failRideSearch(rideRequestId);
+  }
+}
+
+/* İleri tarihli çağrılar (SCHEDULED) */
+
+// Dispatch alış zamanından bu kadar dakika önce başlar
+const SCHEDULED_DISPATCH_LEAD_MINUTES = Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES) || 15;
+// En erken şu kadar dakika sonrasına, en geç şu kadar gün sonrasına çağrı planlanabilir
+const SCHEDULE_MIN_LEAD_MINUTES = Number(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30;
+const SCHEDULE_MAX_DAYS = Number(process.env.SCHEDULE_MAX_DAYS) || 30;
+
+// scheduledAt doğrulama: { scheduledAt } veya { error }
+function parseScheduledAt(value, now = new Date()) {
+  const at = new Date(String(value));
+  if (Number.isNaN(at.getTime())) return { error: "scheduledAt geçerli bir tarih olmalı (ISO 8601)." };
+  if (at.getTime() < now.getTime() + SCHEDULE_MIN_LEAD_MINUTES * 60000) {
+    return { error: `scheduledAt en az ${SCHEDULE_MIN_LEAD_MINUTES} dakika sonrası olmalı.` };
+  }
+  if (at.getTime() > now.getTime() + SCHEDULE_MAX_DAYS * 24 * 3600000) {
+    return { error: `scheduledAt en fazla ${SCHEDULE_MAX_DAYS} gün sonrası olabilir.` };
+  }
+  return { scheduledAt: at };
+}
+
+async function scheduleRideDispatch(ride) {
+  await scheduler.schedule(JOB_SCHEDULED_DISPATCH, {
+    runAt: new Date(ride.scheduledAt.getTime() - SCHEDULED_DISPATCH_LEAD_MINUTES * 60000),
+    payload: { rideRequestId: ride.id },
+    key: `ride:${ride.id}:scheduled-dispatch`,
+    rideRequestId: ride.id,
+  });
+}
+
+// Dispatch zamanı geldi: önceden kabul eden sürücü hazırsa ona ata, değilse normal aramaya başla
+async function onScheduledDispatch({ rideRequestId }) {
+  const ride = await prisma.rideRequest.findUnique({ where: { id: rideRequestId } });
+  if (!ride || ride.status !== "SCHEDULED") return;
+
+  const driverId = ride.preAssignedDriverId;
+  if (driverId) {
+    const result = await prisma.$transaction(async (tx) => {
+      const driver = await tx.driver.findUnique({
+        where: { id: driverId },
+        select: { status: true, availability: true },
+      });
+      const busy = await tx.rideRequest.count({
+        where: { driverId, status: { in: ACTIVE_RIDE_STATUSES } },
+      });
+      if (driver?.status !== "APPROVED" || driver.availability === "OFFLINE" || busy > 0) {
+        return { ok: false, unavailable: true };
+      }
+
+      const t = await transitionRide(tx, ride, "ACCEPTED", { driverId, expiresAt: null });
+      if (!t.ok) return t;
+
+      await tx.driver.update({ where: { id: driverId }, data: { availability: "BUSY", isOnline: true } });
+      return t;
+    });
+
+    if (result.ok) {
+      await afterRideTransition(result.transition);
+      pushToDriver(driverId, "scheduled-ride-assigned", { rideRequestId });
+      return;
+    }
+    // Bu arada iptal edildi / değişti
+    if (!result.unavailable) return;
+
+    await prisma.rideRequest.updateMany({
+      where: { id: rideRequestId, status: "SCHEDULED", preAssignedDriverId: driverId },
+      data: { preAssignedDriverId: null, preAssignedAt: null },
+    });
+    await logRideEvent(rideRequestId, "PRE_ASSIGNMENT_RELEASED", {
+      payload: { driverId, reason: "DRIVER_UNAVAILABLE" },
+    });
+    pushToDriver(driverId, "scheduled-ride-released", { rideRequestId, reason: "DRIVER_UNAVAILABLE" });
+  }
+
+  const t = await changeRideStatus(rideRequestId, "SEARCHING", { phase: 1, expiresAt: null });
+  if (t.ok) await runRideSearch(rideRequestId);
+}
+
+const JOB_PHASE_DEADLINE = "PHASE_DEADLINE";
+const JOB_DISPATCH_WAVE = "DISPATCH_WAVE";
+const JOB_SCHEDULED_DISPATCH = "SCHEDULED_DISPATCH";
+const JOB_RIDE_PAYMENT = "RIDE_PAYMENT";
+
+const scheduler = createJobScheduler({
+  prisma,
+  handlers: {
+    [JOB_PHASE_DEADLINE]: onPhaseDeadline,
+    [JOB_DISPATCH_WAVE]: onDispatchWave,
+    [JOB_SCHEDULED_DISPATCH]: onScheduledDispatch,
+    [JOB_RIDE_PAYMENT]: onRidePayment,
+  },
+});
+
+// Açılışta: SEARCHING kalmış ama bekleyen işi olmayan ride'ları toparla.
+// (Vadesi geçmiş işleri zaten scheduler çalıştırır.)
+async function recoverRideSearches() {
+  const stuck = await prisma.rideRequest.findMany({
+    where: {
+      status: "SEARCHING",
+      driverId: null,
+      jobs: { none: { type: JOB_PHASE_DEADLINE, status: { in: ["PENDING", "RUNNING"] } } },
+    },
+    select: { id: true, phase: true, expiresAt: true },
+  });
+
+  for (const ride of stuck) {
+    try {
+      if (!ride.expiresAt) {
+        // Faz hiç başlamadan kapanmış: fazı baştan çalıştır
+        await runPhase(ride.id, ride.phase);
+      } else if (ride.expiresAt > new Date()) {
+        // Faz devam ediyor: süresini yeniden planla
+        await scheduler.schedule(JOB_PHASE_DEADLINE, {
+          runAt: ride.expiresAt,
+          payload: { rideRequestId: ride.id, phase: ride.phase },
+          key: `ride:${ride.id}:phase:${ride.phase}`,
+          rideRequestId: ride.id,
+        });
+      } else {
+        await onPhaseDeadline({ rideRequestId: ride.id, phase: ride.phase });
+      }
+    } catch (err) {
+      console.error(`recoverRideSearches ride#${ride.id} error:`, err);
+    }
+  }
+
+  if (stuck.length > 0) console.log(`♻️ ${stuck.length} ride araması toparlandı.`);
+
+  // İşi kaybolmuş ileri tarihli çağrılar (vadesi geçtiyse scheduler hemen çalıştırır)
+  const scheduled = await prisma.rideRequest.findMany({
+    where: {
+      status: "SCHEDULED",
+      jobs: { none: { type: JOB_SCHEDULED_DISPATCH, status: { in: ["PENDING", "RUNNING"] } } },
+    },
+    select: { id: true, scheduledAt: true },
+  });
+  for (const ride of scheduled) {
+    if (!ride.scheduledAt) continue;
+    await scheduleRideDispatch(ride).catch((err) =>
+      console.error(`recoverRideSearches scheduled ride#${ride.id} error:`, err)
+    );
+  }
+}
+
+/* =========================
+   RIDES (CUSTOMER)
+========================= */
+
+const MAX_RIDE_STOPS = 5;
+
+// Ara duraklar: [{ text, lat?, lng? }] sırayla. lat/lng ya ikisi birden ya hiçbiri.
+function parseStops(input) {
+  if (input == null) return { stops: [] };
+  if (!Array.isArray(input)) return { error: "stops bir dizi olmalı." };
+  if (input.length > MAX_RIDE_STOPS) return { error: `En fazla ${MAX_RIDE_STOPS} ara durak eklenebilir.` };
+
+  const stops = [];
+  for (const [i, st] of input.entries()) {
+    const text = (st?.text ?? "").toString().trim();
+    if (!text) return { error: `stops[${i}].text gerekli.` };
+
+    const lat = st.lat == null || st.lat === "" ? null : Number(st.lat);
+    const lng = st.lng == null || st.lng === "" ? null : Number(st.lng);
+    if ((lat == null) !== (lng == null)) return { error: `stops[${i}] için lat ve lng birlikte verilmeli.` };
+    if (lat != null && (!Number.isFinite(lat) || !Number.isFinite(lng))) {
+      return { error: `stops[${i}].lat/lng sayı olmalı.` };
+    }
+
+    stops.push({ text, lat, lng });
+  }
+  return { stops };
+}
+
+// Çağrıda gösterilen promosyon bilgisi
+const RIDE_PROMO_SELECT = {
+  select: { status: true, discount: true, promoCode: { select: { code: true, type: true, value: true } } },
+};
+
+// Promosyon kodunu müşteri + çağrı için doğrular. lock=true ise (transaction içinde) kod satırı
+// FOR UPDATE ile kilitlenir; aynı koda gelen eşzamanlı çağrılar sırayla limit kontrolünden geçer.
+async function findUsablePromo(db, { code, userId, region, fare, lock = false }) {
+  const normalized = normPromoCode(code);
+  if (!normalized) return { error: "Geçersiz promosyon kodu." };
+
+  if (lock) await db.$queryRaw`SELECT "id" FROM "PromoCode" WHERE "code" = ${normalized} FOR UPDATE`;
+
+  const promo = await db.promoCode.findUnique({ where: { code: normalized } });
+  if (!promo) return { error: "Promosyon kodu bulunamadı." };
+
+  const reason = promoIneligibility(promo, { region, fare });
+  if (reason) return { error: reason };
+
+  if (promo.maxUsesPerUser != null) {
+    const used = await db.promoRedemption.count({
+      where: { promoCodeId: promo.id, userId, status: { in: ["RESERVED", "APPLIED"] } },
+    });
+    if (used >= promo.maxUsesPerUser) return { error: "Bu promosyon kodunu kullanım hakkın doldu." };
+  }
+
+  if (promo.firstRideOnly) {
+    const completed = await db.rideRequest.count({ where: { customerId: userId, status: "COMPLETED" } });
+    if (completed > 0) return { error: "Bu promosyon kodu sadece ilk yolculukta geçerli." };
+  }
+
+  return { promo };
+}
+
+function promoPreview(promo, fare) {
+  return {
+    code: promo.code,
+    type: promo.type,
+    value: promo.value,
+    estimatedDiscount: fare != null ? promoDiscount(promo, fare) : null,
+  };
+}
+
+// Müşteri: çağırmadan önce tahmini ücret
+app.post("/rides/estimate", auth, async (req, res) => {
+  try {
+    const { pickupLat, pickupLng, dropoffLat, dropoffLng, region } = req.body;
+
+    const coords = [pickupLat, pickupLng, dropoffLat, dropoffLng].map((v) => (v == null ? NaN : Number(v)));
+    if (!coords.every(Number.isFinite)) {
+      return res.status(400).json({
+        ok: false,
+        message: "pickupLat/pickupLng ve dropoffLat/dropoffLng sayı olmalı.",
+      });
+    }
+
+    const parsedStops = parseStops(req.body.stops);
+    if (parsedStops.error) return res.status(400).json({ ok: false, message: parsedStops.error });
+
+    const [pLat, pLng, dLat, dLng] = coords;
+    const estimate = await estimateFare({
+      region: normRegion(region),
+      pickupLat: pLat,
+      pickupLng: pLng,
+      dropoffLat: dLat,
+      dropoffLng: dLng,
+      stops: parsedStops.stops,
+    });
+
+    // promoCode verilirse sadece önizleme (kullanım hakkı ayrılmaz)
+    let promo = null;
+    if (req.body.promoCode) {
+      const found = await findUsablePromo(prisma, {
+        code: req.body.promoCode,
+        userId: req.userId,
+        region: normRegion(region),
+        fare: estimate?.total ?? null,
+      });
+      if (found.error) return res.status(400).json({ ok: false, message: found.error });
+      promo = promoPreview(found.promo, estimate?.total ?? null);
+    }
+
+    res.json({ ok: true, estimate, promo });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Estimate hata", error: String(e) });
+  }
+});
+
+// Tek hesabın sürücüleri tekliflerle boğmaması için
+const rideCreateLimit = limit([rule("ride-create:user", byUser), rule("ride-create:ip", byIp)]);
+
+app.post("/rides/create", auth, rideCreateLimit, async (req, res) => {
+  try {
+    const { pickupText, pickupLat, pickupLng, dropoffText, dropoffLat, dropoffLng, region } = req.body;
+
+    if (!pickupText) {
+      return res.status(400).json({ ok: false, message: "pickupText gerekli." });
+    }
+
+    // scheduledAt verilirse ileri tarihli çağrı (SCHEDULED): arama alış zamanından önce başlar
+    let scheduledAt = null;
+    if (req.body.scheduledAt != null && req.body.scheduledAt !== "") {
+      const parsed = parseScheduledAt(req.body.scheduledAt);
+      if (parsed.error) return res.status(400).json({ ok: false, message: parsed.error });
+      scheduledAt = parsed.scheduledAt;
+    }
+
+    // Lat/Lng opsiyonel ama varsa sayı olmalı
+    const pLat = pickupLat == null ? null : Number(pickupLat);
+    const pLng = pickupLng == null ? null : Number(pickupLng);
+    if ((pLat != null && !Number.isFinite(pLat)) || (pLng != null && !Number.isFinite(pLng))) {
+      return res.status(400).json({ ok: false, message: "pickupLat/pickupLng sayı olmalı." });
+    }
+
+    const dLat = dropoffLat == null ? null : Number(dropoffLat);
+    const dLng = dropoffLng == null ? null : Number(dropoffLng);
+    if ((dLat != null && !Number.isFinite(dLat)) || (dLng != null && !Number.isFinite(dLng))) {
+      return res.status(400).json({ ok: false, message: "dropoffLat/dropoffLng sayı olmalı." });
+    }
+
+    const parsedStops = parseStops(req.body.stops);
+    if (parsedStops.error) return res.status(400).json({ ok: false, message: parsedStops.error });
+    const { stops } = parsedStops;
+
+    const paymentMethod = String(req.body.paymentMethod || "CASH").toUpperCase();
+    if (!PAYMENT_METHODS.has(paymentMethod)) {
+      return res.status(400).json({
+        ok: false,
+        message: `paymentMethod şunlardan biri olmalı: ${[...PAYMENT_METHODS].join(", ")}`,
+      });
+    }
+
+    const rideRegion = normRegion(region);
+    const policy = await resolveDispatchPolicy({ region: rideRegion, pickupLat: pLat, pickupLng: pLng });
+    const phases = phasesOf({ dispatchPolicy: policy });
+
+    const estimate = await estimateFare({
+      region: rideRegion,
+      pickupLat: pLat,
+      pickupLng: pLng,
+      dropoffLat: dLat,
+      dropoffLng: dLng,
+      stops,
+    });
+
+    // Cüzdanla ödemede bakiye tahmini ücreti karşılamalı (kesin çekim yolculuk bitince)
+    if (paymentMethod === "WALLET" && estimate && (await walletBalance(prisma, req.userId)) < estimate.total) {
+      return res.status(400).json({ ok: false, message: "Cüzdan bakiyesi yetersiz." });
+    }
+
+    // Promosyon kodu çağrıyla aynı transaction'da ayrılır; ride tamamlanınca ücrete uygulanır
+    const promoCode = req.body.promoCode ? String(req.body.promoCode) : null;
+
+    const created = await prisma.$transaction(async (tx) => {
+      let promo = null;
+      if (promoCode) {
+        const found = await findUsablePromo(tx, {
+          code: promoCode,
+          userId: req.userId,
+          region: rideRegion,
+          fare: estimate?.total ?? null,
+          lock: true,
+        });
+        if (found.error) return { error: found.error };
+        promo = found.promo;
+      }
+
+      const ride = await tx.rideRequest.create({
+        data: {
+          customerId: req.userId,
+          pickupText,
+          pickupLat: pLat,
+          pickupLng: pLng,
+          dropoffText: dropoffText || null,
+          dropoffLat: dLat,
+          dropoffLng: dLng,
+          region: rideRegion,
+          dispatchPolicyId: policy?.id ?? null,
+          tariffId: estimate?.tariffId ?? null,
+          estimatedDistanceKm: estimate?.distanceKm ?? null,
+          estimatedFare: estimate?.total ?? null,
+          status: scheduledAt ? "SCHEDULED" : "SEARCHING",
+          scheduledAt,
+          paymentMethod,
+          phase: 1,
+          searchRadiusKm: phases[0].radiusKm,
+          stops: { create: stops.map((st, i) => ({ position: i + 1, ...st })) },
+        },
+        select: {
+          id: true,
+          status: true,
+          scheduledAt: true,
+          stops: RIDE_STOPS_SELECT,
+          phase: true,
+          searchRadiusKm: true,
+          region: true,
+          dispatchPolicyId: true,
+          estimatedDistanceKm: true,
+          estimatedFare: true,
+          paymentMethod: true,
+          expiresAt: true,
+          createdAt: true,
+        },
+      });
+
+      if (promo) {
+        await tx.promoRedemption.create({
+          data: { promoCodeId: promo.id, userId: req.userId, rideRequestId: ride.id },
+        });
+        await tx.promoCode.update({ where: { id: promo.id }, data: { usedCount: { increment: 1 } } });
+      }
+
+      await recordRideEvent(tx, ride.id, "RIDE_CREATED", {
+        actor: { type: "CUSTOMER", id: req.userId },
+        payload: {
+          status: ride.status,
+          scheduledAt,
+          region: rideRegion,
+          stops: stops.length,
+          paymentMethod,
+          estimatedFare: ride.estimatedFare,
+          promoCode: promo?.code ?? null,
+        },
+      });
+
+      return { ride, promo: promo ? promoPreview(promo, estimate?.total ?? null) : null };
+    });
+
+    if (created.error) return res.status(400).json({ ok: false, message: created.error });
+    const { ride, promo } = created;
+
+    if (scheduledAt) {
+      await scheduleRideDispatch(ride);
+      return res.json({ ok: true, message: "İleri tarihli çağrı oluşturuldu.", ride, promo });
+    }
+
+    // Aramayı başlat (asenkron)
+    runRideSearch(ride.id).catch((err) => console.error("runRideSearch error:", err));
+
+    res.json({
+      ok: true,
+      message: "Taksi çağrısı başlatıldı.",
+      ride,
+      promo,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride create hata", error: String(e) });
+  }
+});
+
+// Müşteri: ride durumunu takip
+app.get("/rides/status/:id", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id },
+      include: {
+        driver: { select: RIDE_DRIVER_SELECT },
+        preAssignedDriver: { select: RIDE_DRIVER_SELECT },
+        stops: RIDE_STOPS_SELECT,
+        promoRedemption: RIDE_PROMO_SELECT,
+      },
+    });
+
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+
+    res.json({ ok: true, ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride status hata", error: String(e) });
+  }
+});
+
+// Müşteri: ride zaman çizelgesi (sürücü adayları ve teklif ayrıntıları olmadan)
+app.get("/rides/:id/events", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, select: { customerId: true } });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+
+    const events = await prisma.rideEvent.findMany({
+      where: { rideRequestId: id },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+
+    res.json({ ok: true, events: events.map(redactRideEventForCustomer).filter(Boolean) });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride events hata", error: String(e) });
+  }
+});
+
+// Müşteri: canlı ride takibi (SSE). "ride" event'i status/phase değişimlerini,
+// "driver-location" event'i atanan sürücünün konumunu taşır.
+app.get("/rides/status/:id/stream", tokenFromQuery, auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id },
+      include: {
+        driver: { select: { ...RIDE_DRIVER_SELECT, lat: true, lng: true } },
+      },
+    });
+
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+
+    const stream = hub.subscribe(`ride:${id}`, req, res);
+
+    const { lat, lng, ...driver } = ride.driver || {};
+    stream.send("ride", { ride: { ...ride, driver: ride.driver ? driver : null } });
+
+    if (ACTIVE_RIDE_STATUSES.includes(ride.status) && lat != null && lng != null) {
+      stream.send("driver-location", { rideId: id, lat, lng, at: new Date() });
+    }
+  } catch (e) {
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, message: "Ride stream hata", error: String(e) });
+    }
+    res.end();
+  }
+});
+
+// ?status=SCHEDULED ile sadece ileri tarihli çağrılar (en yakın önce)
+app.get("/rides/my", auth, async (req, res) => {
+  try {
+    const where = { customerId: req.userId };
+    if (req.query.status) {
+      const v = String(req.query.status).toUpperCase();
+      if (!ALLOWED_RIDE_STATUS.has(v)) return res.status(400).json({ ok: false, message: "Geçersiz status" });
+      where.status = v;
+    }
+
+    const rides = await prisma.rideRequest.findMany({
+      where,
+      orderBy: where.status === "SCHEDULED" ? { scheduledAt: "asc" } : { createdAt: "desc" },
+      include: {
+        preAssignedDriver: { select: RIDE_DRIVER_SELECT },
+        stops: RIDE_STOPS_SELECT,
+        promoRedemption: RIDE_PROMO_SELECT,
+      },
+      take: 50,
+    });
+    res.json({ ok: true, rides });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Rides my hata", error: String(e) });
+  }
+});
+
+// Müşteri: ileri tarihli çağrıyı düzenle (sadece SCHEDULED; dispatch başlayınca düzenlenemez).
+// Alış zamanı / alış noktası değişirse önceden kabul eden sürücünün ataması kalkar.
+// stops verilirse ara durakların tamamı yenisiyle değişir ([] hepsini siler).
+app.patch("/rides/:id", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, include: { stops: RIDE_STOPS_SELECT } });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+    if (ride.status !== "SCHEDULED") {
+      return res.status(409).json({ ok: false, message: "Sadece ileri tarihli (SCHEDULED) çağrı düzenlenebilir." });
+    }
+
+    const b = req.body || {};
+    const data = {};
+
+    if (b.scheduledAt !== undefined) {
+      const parsed = parseScheduledAt(b.scheduledAt);
+      if (parsed.error) return res.status(400).json({ ok: false, message: parsed.error });
+      data.scheduledAt = parsed.scheduledAt;
+    }
+    if (b.pickupText !== undefined) {
+      const t = (b.pickupText ?? "").toString().trim();
+      if (!t) return res.status(400).json({ ok: false, message: "pickupText boş olamaz." });
+      data.pickupText = t;
+    }
+    if (b.dropoffText !== undefined) data.dropoffText = (b.dropoffText ?? "").toString().trim() || null;
+    if (b.region !== undefined) data.region = normRegion(b.region);
+
+    for (const key of ["pickupLat", "pickupLng", "dropoffLat", "dropoffLng"]) {
+      if (b[key] === undefined) continue;
+      const n = b[key] === null ? null : Number(b[key]);
+      if (n !== null && !Number.isFinite(n)) {
+        return res.status(400).json({ ok: false, message: `${key} sayı olmalı.` });
+      }
+      data[key] = n;
+    }
+
+    let newStops = null;
+    if (b.stops !== undefined) {
+      const parsed = parseStops(b.stops);
+      if (parsed.error) return res.status(400).json({ ok: false, message: parsed.error });
+      newStops = parsed.stops;
+    }
+
+    if (Object.keys(data).length === 0 && !newStops) {
+      return res.status(400).json({ ok: false, message: "Değiştirilecek alan yok." });
+    }
+    const changed = [...Object.keys(data), ...(newStops ? ["stops"] : [])];
+
+    // Konum / bölge değiştiyse politika ve tahmini ücret yeniden
+    const next = { ...ride, ...data, stops: newStops ?? ride.stops };
+    if (newStops || ["pickupLat", "pickupLng", "dropoffLat", "dropoffLng", "region"].some((k) => k in data)) {
+      const policy = await resolveDispatchPolicy({
+        region: next.region,
+        pickupLat: next.pickupLat,
+        pickupLng: next.pickupLng,
+      });
+      const estimate = await estimateFare({
+        region: next.region,
+        pickupLat: next.pickupLat,
+        pickupLng: next.pickupLng,
+        dropoffLat: next.dropoffLat,
+        dropoffLng: next.dropoffLng,
+        stops: next.stops,
+      });
+      Object.assign(data, {
+        dispatchPolicyId: policy?.id ?? null,
+        searchRadiusKm: phasesOf({ dispatchPolicy: policy })[0].radiusKm,
+        tariffId: estimate?.tariffId ?? null,
+        estimatedDistanceKm: estimate?.distanceKm ?? null,
+        estimatedFare: estimate?.total ?? null,
+      });
+
+      // Ayrılmış promosyon kodu yeni bölge / ücrete göre tekrar kontrol edilir (limit ve tarih rezervasyon anına göre)
+      const redemption = await prisma.promoRedemption.findFirst({
+        where: { rideRequestId: id, status: "RESERVED" },
+        include: { promoCode: true },
+      });
+      if (redemption) {
+        const reason = promoIneligibility(
+          { ...redemption.promoCode, usedCount: redemption.promoCode.usedCount - 1 },
+          { region: next.region, fare: data.estimatedFare, at: redemption.createdAt }
+        );
+        if (reason) return res.status(409).json({ ok: false, message: `${reason} Değişiklik yapılmadı.` });
+      }
+    }
+
+    const releasedDriverId =
+      ride.preAssignedDriverId &&
+      ["scheduledAt", "pickupText", "pickupLat", "pickupLng"].some((k) => k in data)
+        ? ride.preAssignedDriverId
+        : null;
+    if (releasedDriverId) Object.assign(data, { preAssignedDriverId: null, preAssignedAt: null });
+
+    // Bu arada dispatch başladıysa dokunma
+    const updated = await prisma.$transaction(async (tx) => {
+      const r = await tx.rideRequest.updateMany({ where: { id, status: "SCHEDULED" }, data });
+      if (r.count === 0) return r;
+
+      if (newStops) {
+        await tx.rideStop.deleteMany({ where: { rideRequestId: id } });
+        await tx.rideStop.createMany({
+          data: newStops.map((st, i) => ({ rideRequestId: id, position: i + 1, ...st })),
+        });
+      }
+      await recordRideEvent(tx, id, "RIDE_UPDATED", {
+        actor: { type: "CUSTOMER", id: req.userId },
+        payload: { changed, scheduledAt: data.scheduledAt, releasedDriverId },
+      });
+      return r;
+    });
+    if (updated.count === 0) {
+      return res.status(409).json({ ok: false, message: "Çağrının dispatch'i başladı, düzenlenemez." });
+    }
+
+    if (data.scheduledAt) await scheduleRideDispatch({ id, scheduledAt: data.scheduledAt });
+    if (releasedDriverId) {
+      pushToDriver(releasedDriverId, "scheduled-ride-released", { rideRequestId: id, reason: "RIDE_CHANGED" });
+    }
+    await publishRideUpdate(id);
+
+    const saved = await prisma.rideRequest.findUnique({
+      where: { id },
+      include: { preAssignedDriver: { select: RIDE_DRIVER_SELECT }, stops: RIDE_STOPS_SELECT },
+    });
+    res.json({ ok: true, ride: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride update hata", error: String(e) });
+  }
+});
+
+// Müşteri: başarısız / bekleyen ödemeyi tekrar dene; paymentMethod ile yöntem değiştirilebilir
+app.post("/rides/:id/payment/retry", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id } });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+    if (!["FAILED", "PENDING"].includes(ride.paymentStatus)) {
+      return res.status(409).json({ ok: false, message: "Bu ride için bekleyen ödeme yok." });
+    }
+
+    if (req.body?.paymentMethod !== undefined) {
+      const method = String(req.body.paymentMethod).toUpperCase();
+      if (!["CARD", "WALLET"].includes(method)) {
+        return res.status(400).json({ ok: false, message: "paymentMethod CARD veya WALLET olmalı." });
+      }
+      const changed = await prisma.rideRequest.updateMany({
+        where: { id, paymentStatus: { in: ["FAILED", "PENDING"] } },
+        data: { paymentMethod: method },
+      });
+      if (changed.count === 0) return res.status(409).json({ ok: false, message: "Ödeme şu an işleniyor." });
+    }
+
+    const paymentStatus = await onRidePayment({ rideRequestId: id });
+    if (paymentStatus === "PROCESSING") {
+      return res.status(409).json({ ok: false, message: "Ödeme şu an işleniyor.", paymentStatus });
+    }
+    if (paymentStatus !== "PAID") {
+      return res.status(402).json({ ok: false, message: "Ödeme alınamadı.", paymentStatus });
+    }
+    res.json({ ok: true, paymentStatus });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Payment retry hata", error: String(e) });
+  }
+});
+
+// Müşteri: ride iptal
+app.post("/rides/:id/cancel", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const reason = String(req.body?.reason || "OTHER").toUpperCase();
+    if (!CUSTOMER_CANCEL_REASONS.has(reason)) {
+      return res.status(400).json({
+        ok: false,
+        message: `reason şunlardan biri olmalı: ${[...CUSTOMER_CANCEL_REASONS].join(", ")}`,
+      });
+    }
+
+    const result = await cancelRide({ rideId: id, by: "CUSTOMER", actorId: req.userId, reason });
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, message: result.message });
+    }
+
+    res.json({ ok: true, ride: result.ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride cancel hata", error: String(e) });
+  }
+});
+
+// İptal edilebilecek durumlar
+const CUSTOMER_CANCELABLE = ["OPEN", "SCHEDULED", "SEARCHING", "ACCEPTED", "ARRIVING"];
+const DRIVER_CANCELABLE = ["ACCEPTED", "ARRIVING"];
+
+// Ride iptali (aramanın durması, tekliflerin düşmesi, sürücünün serbest kalması transitionRide'da).
+// ARRIVING'den sonra müşteri iptal ederse (veya sürücü "müşteri gelmedi" derse) geç iptal ücreti yazılır.
+async function cancelRide({ rideId, by, actorId, reason }) {
+  const result = await prisma.$transaction(async (tx) => {
+    const ride = await tx.rideRequest.findUnique({ where: { id: rideId } });
+    if (!ride) return { ok: false, code: 404, message: "Ride bulunamadı" };
+
+    if (by === "CUSTOMER" && ride.customerId !== actorId) {
+      return { ok: false, code: 403, message: "Bu ride sana ait değil" };
+    }
+    if (by === "DRIVER" && ride.driverId !== actorId) {
+      return { ok: false, code: 403, message: "Bu ride sana ait değil" };
+    }
+
+    const cancelable = by === "DRIVER" ? DRIVER_CANCELABLE : CUSTOMER_CANCELABLE;
+    if (!cancelable.includes(ride.status)) {
+      return { ok: false, code: 409, message: `${ride.status} durumundaki ride iptal edilemez.` };
+    }
+
+    const isLate =
+      ride.status === "ARRIVING" &&
+      (by === "CUSTOMER" || (by === "DRIVER" && reason === "CUSTOMER_NO_SHOW"));
+
+    const t = await transitionRide(
+      tx,
+      ride,
+      "CANCELED",
+      {
+        canceledBy: by,
+        cancelReason: reason,
+        cancellationFee: isLate && LATE_CANCEL_FEE > 0 ? LATE_CANCEL_FEE : null,
+        expiresAt: null,
+      },
+      { type: by, id: actorId ?? null }
+    );
+    if (!t.ok) return t;
+
+    const canceled = await tx.rideRequest.findUnique({ where: { id: ride.id } });
+    return { ok: true, ride: canceled, transition: t.transition };
+  });
+
+  if (!result.ok) return result;
+
+  await afterRideTransition(result.transition);
+  if (result.ride.driverId && by !== "DRIVER") {
+    pushToDriver(result.ride.driverId, "ride-canceled", { rideId, by, reason });
+  } else if (result.ride.preAssignedDriverId) {
+    pushToDriver(result.ride.preAssignedDriverId, "ride-canceled", { rideId, by, reason });
+  }
+
+  return { ok: true, ride: result.ride };
+}
+
+// Ride rotası: ?format=geojson (varsayılan) veya gpx.
+// tripOnly=true ise sadece yolculuk (IN_PROGRESS) noktaları; sürücünün müşteriye geliş yolu gösterilmez.
+async function sendRideRoute(req, res, ride, { tripOnly }) {
+  const format = String(req.query.format || "geojson").toLowerCase();
+  if (!["geojson", "gpx"].includes(format)) {
+    return res.status(400).json({ ok: false, message: "format geojson veya gpx olmalı." });
+  }
+
+  const points = await prisma.rideLocationPoint.findMany({
+    where: { rideRequestId: ride.id, ...(tripOnly ? { rideStatus: "IN_PROGRESS" } : {}) },
+    orderBy: { recordedAt: "asc" },
+    select: { lat: true, lng: true, recordedAt: true, rideStatus: true },
+  });
+  const segments = routeSegments(points);
+
+  if (format === "gpx") {
+    res.set("Content-Type", "application/gpx+xml; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="ride-${ride.id}.gpx"`);
+    return res.send(toGpx(ride, segments));
+  }
+
+  res.set("Content-Type", "application/geo+json; charset=utf-8");
+  res.send(JSON.stringify(toGeoJSON(ride, segments)));
+}
+
+const ROUTE_RIDE_SELECT = {
+  id: true,
+  customerId: true,
+  driverId: true,
+  travelledDistanceKm: true,
+  startedAt: true,
+  completedAt: true,
+};
+
+// Müşteri: yolculuk rotası
+app.get("/rides/:id/route", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, select: ROUTE_RIDE_SELECT });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+
+    await sendRideRoute(req, res, ride, { tripOnly: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ride route hata", error: String(e) });
+  }
+});
+
+/* =========================
+   WALLET (CUSTOMER)
+========================= */
+
+const WALLET_TOPUP_MIN = 10;
+const WALLET_TOPUP_MAX = 10000;
+
+app.get("/wallet", auth, async (req, res) => {
+  try {
+    const [balance, entries] = await Promise.all([
+      walletBalance(prisma, req.userId),
+      prisma.ledgerEntry.findMany({
+        where: { accountType: "WALLET", userId: req.userId },
+        orderBy: { createdAt: "desc" },
+        include: { transaction: { select: { type: true, rideRequestId: true, description: true } } },
+        take: 50,
+      }),
+    ]);
+
+    // Müşteriye cüzdan yönünden göster: yükleme / iade +, ödeme -
+    const movements = entries.map((e) => ({
+      amount: -e.amount || 0,
+      type: e.transaction.type,
+      rideRequestId: e.transaction.rideRequestId,
+      description: e.transaction.description,
+      createdAt: e.createdAt,
+    }));
+
+    res.json({ ok: true, balance, movements });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Wallet hata", error: String(e) });
+  }
+});
+
+// Kartla cüzdana para yükle. İstemci her yükleme için bir Idempotency-Key gönderir (header veya body);
+// zaman aşımı sonrası aynı anahtarla tekrar gelen istek yeni çekim yapmaz, yarım kalan yüklemeyi tamamlar.
+// Kayıt çekimden önce yazılır (WalletTopup); ledger yazılamazsa aynı anahtarla tekrar denenebilir.
+const TOPUP_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+app.post("/wallet/topup", auth, async (req, res) => {
+  try {
+    const amount = roundMoney(Number(req.body?.amount));
+    if (!Number.isFinite(amount) || amount < WALLET_TOPUP_MIN || amount > WALLET_TOPUP_MAX) {
+      return res.status(400).json({
+        ok: false,
+        message: `amount ${WALLET_TOPUP_MIN}-${WALLET_TOPUP_MAX} arası olmalı.`,
+      });
+    }
+
+    const key = (req.get("Idempotency-Key") ?? req.body?.idempotencyKey ?? "").toString().trim();
+    if (!TOPUP_KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Idempotency-Key gerekli (8-100 karakter: harf, rakam, - ve _).",
+      });
+    }
+    const reference = `wallet:${req.userId}:topup:${key}`;
+    const done = async (topup) =>
+      res.json({
+        ok: true,
+        topup: { id: topup.id, amount: topup.amount, status: topup.status },
+        balance: await walletBalance(prisma, req.userId),
+      });
+
+    // Yüklemeyi üstlen: yeni kayıt ya da yarım kalmış / başarısız eski kayıt (PROCESSING'e geçiren çeker)
+    let topup = await prisma.walletTopup.findUnique({ where: { reference } });
+    if (!topup) {
+      try {
+        topup = await prisma.walletTopup.create({ data: { userId: req.userId, amount, reference } });
+      } catch (e) {
+        if (e?.code !== "P2002") throw e;
+        return res.status(409).json({ ok: false, message: "Yükleme şu an işleniyor." });
+      }
+    } else {
+      if (topup.amount !== amount) {
+        return res.status(409).json({ ok: false, message: "Bu Idempotency-Key farklı bir tutarla kullanılmış." });
+      }
+      if (topup.status === "PAID") return done(topup);
+
+      const claimed = await prisma.walletTopup.updateMany({
+        where: {
+          id: topup.id,
+          OR: [
+            { status: { in: ["PENDING", "FAILED"] } },
+            { status: "PROCESSING", updatedAt: { lt: new Date(Date.now() - PAYMENT_CLAIM_TIMEOUT_MS) } },
+          ],
+        },
+        data: { status: "PROCESSING", error: null },
+      });
+      if (claimed.count === 0) return res.status(409).json({ ok: false, message: "Yükleme şu an işleniyor." });
+    }
+
+    try {
+      const result = await paymentProvider().capture({ amount, currency: "TRY", customerId: req.userId, reference });
+      if (!result.ok) {
+        await prisma.walletTopup.update({ where: { id: topup.id }, data: { status: "FAILED", error: result.error } });
+        if (result.unavailable) return res.status(503).json({ ok: false, message: result.error });
+        return res.status(402).json({ ok: false, message: result.error || "Ödeme alınamadı." });
+      }
+
+      const paid = await prisma.$transaction(async (tx) => {
+        await postLedgerTransaction(tx, {
+          type: "WALLET_TOPUP",
+          paymentMethod: "CARD",
+          providerRef: result.providerRef,
+          idempotencyKey: reference,
+          description: "Cüzdan yükleme",
+          entries: [
+            { ...account.provider(), amount },
+            { ...account.wallet(req.userId), amount: -amount },
+          ],
+        });
+        return tx.walletTopup.update({
+          where: { id: topup.id },
+          data: { status: "PAID", providerRef: result.providerRef },
+        });
+      });
+      return done(paid);
+    } catch (e) {
+      // Üstlenmeyi bırak: aynı anahtarla tekrar denenince sağlayıcı aynı çekimi döner, kayıt tamamlanır
+      await prisma.walletTopup.updateMany({
+        where: { id: topup.id, status: "PROCESSING" },
+        data: { status: "PENDING", error: String(e) },
+      });
+      throw e;
+    }
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Wallet topup hata", error: String(e) });
+  }
+});
+
+/* =========================
+   OFFERS (DRIVER)
+========================= */
+
+// Sürücüye gelen aktif çağrılar
+app.get("/drivers/offers", driverAuth, async (req, res) => {
+  try {
+    const offers = await activeOffersForDriver(req.driverId);
+    res.json({ ok: true, offers });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Offers hata", error: String(e) });
+  }
+});
+
+async function activeOffersForDriver(driverId) {
+  const now = new Date();
+
+  await expireOffers({ driverId, expiresAt: { lte: now } });
+
+  return prisma.rideOffer.findMany({
+    where: {
+      driverId,
+      status: "SENT",
+      expiresAt: { gt: now },
+    },
+    orderBy: { sentAt: "desc" },
+    include: OFFER_INCLUDE,
+    take: 20,
+  });
+}
+
+// Sürücü: canlı teklif akışı (SSE). Polling yerine offer-created / offer-expired / offer-taken gelir.
+// Bağlanınca (veya yeniden bağlanınca) hâlâ SENT olan teklifler "offers" event'i ile gönderilir.
+app.get("/drivers/stream", tokenFromQuery, driverAuth, async (req, res) => {
+  try {
+    // Önce abone ol, sonra listeyi çek: arada oluşan teklif kaçmasın (client id ile tekilleştirir)
+    const stream = hub.subscribe(`driver:${req.driverId}`, req, res);
+    const offers = await activeOffersForDriver(req.driverId);
+    stream.send("offers", { offers });
+  } catch (e) {
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, message: "Stream hata", error: String(e) });
+    }
+    res.end();
+  }
+});
+
+// Sürücü çağrıyı kabul et
+app.post("/drivers/offers/:offerId/accept", driverAuth, async (req, res) => {
+  try {
+    const offerId = Number(req.params.offerId);
+    if (!Number.isFinite(offerId)) {
+      return res.status(400).json({ ok: false, message: "offerId geçersiz" });
+    }
+
+    const now = new Date();
+
+    const result = await prisma.$transaction(async (tx) => {
+      const offer = await tx.rideOffer.findFirst({
+        where: { id: offerId, driverId: req.driverId },
+        include: { rideRequest: true },
+      });
+
+      if (!offer) return { ok: false, code: 404, message: "Offer bulunamadı" };
+
+      if (offer.status !== "SENT") return { ok: false, code: 409, message: "Offer artık geçerli değil." };
+      if (offer.expiresAt <= now) {
+        await tx.rideOffer.update({ where: { id: offerId }, data: { status: "EXPIRED" } });
+        await recordRideEvent(tx, offer.rideRequestId, "OFFERS_EXPIRED", {
+          payload: {
+            reason: "TIMEOUT",
+            offers: [{ offerId, driverId: req.driverId, phase: offer.phase, wave: offer.wave }],
+          },
+        });
+        return { ok: false, code: 409, message: "Offer süresi dolmuş." };
+      }
+
+      const ride = await tx.rideRequest.findUnique({ where: { id: offer.rideRequestId } });
+      if (!ride) return { ok: false, code: 404, message: "Ride yok" };
+
+      if (ride.driverId) return { ok: false, code: 409, message: "Çağrı zaten alınmış." };
+
+      // Ride'ı ata (aynı anda kabul eden ikinci sürücü burada düşer)
+      const driverActor = { type: "DRIVER", id: req.driverId };
+      const t = await transitionRide(tx, ride, "ACCEPTED", { driverId: req.driverId, expiresAt: null }, driverActor);
+      if (!t.ok) return { ok: false, code: 409, message: "Çağrı artık geçerli değil." };
+
+      // Bu offer ACCEPTED
+      await tx.rideOffer.update({
+        where: { id: offerId },
+        data: { status: "ACCEPTED", acceptedAt: now },
+      });
+
+      // Diğer SENT offer'ları EXPIRED yap (sürücülere "alındı" haberi gidecek)
+      const takenOffers = await tx.rideOffer.findMany({
+        where: { rideRequestId: ride.id, status: "SENT" },
+        select: { id: true, driverId: true },
+      });
+      await tx.rideOffer.updateMany({
+        where: { rideRequestId: ride.id, status: "SENT" },
+        data: { status: "EXPIRED" },
+      });
+
+      await recordRideEvent(tx, ride.id, "OFFER_ACCEPTED", {
+        actor: driverActor,
+        payload: {
+          offerId,
+          phase: offer.phase,
+          wave: offer.wave,
+          rank: offer.rank,
+          secondsToAccept: Math.round((now - offer.sentAt) / 1000),
+          takenOffers: takenOffers.map((o) => ({ offerId: o.id, driverId: o.driverId })),
+        },
+      });
+
+      // Sürücüyü BUSY yap (meşgul)
+      await tx.driver.update({
+        where: { id: req.driverId },
+        data: { availability: "BUSY", isOnline: true },
+      });
+
+      const updatedRide = await tx.rideRequest.findUnique({
+        where: { id: ride.id },
+        include: { customer: { select: { id: true, name: true, phone: true } } },
+      });
+
+      return { ok: true, code: 200, ride: updatedRide, takenOffers, transition: t.transition };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, message: result.message });
+    }
+
+    for (const o of result.takenOffers) {
+      pushToDriver(o.driverId, "offer-taken", { offerId: o.id, rideRequestId: result.ride.id });
+    }
+    await afterRideTransition(result.transition);
+
+    res.json({ ok: true, ride: result.ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Offer accept hata", error: String(e) });
+  }
+});
+
+// Sürücünün reddetme sebebi (opsiyonel)
+const OFFER_REJECT_REASONS = new Set(["TOO_FAR", "BUSY", "LOW_FARE", "DESTINATION", "OTHER"]);
+
+// Sürücü çağrıyı reddet
+app.post("/drivers/offers/:offerId/reject", driverAuth, async (req, res) => {
+  try {
+    const offerId = Number(req.params.offerId);
+    if (!Number.isFinite(offerId)) {
+      return res.status(400).json({ ok: false, message: "offerId geçersiz" });
+    }
+
+    const reason = req.body?.reason == null ? null : String(req.body.reason).toUpperCase();
+    if (reason && !OFFER_REJECT_REASONS.has(reason)) {
+      return res.status(400).json({
+        ok: false,
+        message: `reason şunlardan biri olmalı: ${[...OFFER_REJECT_REASONS].join(", ")}`,
+      });
+    }
+
+    const now = new Date();
+    const updated = await prisma.rideOffer.updateMany({
+      where: { id: offerId, driverId: req.driverId, status: "SENT", expiresAt: { gt: now } },
+      data: { status: "REJECTED", rejectedAt: now, rejectReason: reason },
+    });
+
+    const offer = await prisma.rideOffer.findFirst({
+      where: { id: offerId, driverId: req.driverId },
+    });
+
+    if (!offer) return res.status(404).json({ ok: false, message: "Offer bulunamadı" });
+    if (updated.count === 0) {
+      return res.status(409).json({ ok: false, message: "Offer artık geçerli değil." });
+    }
+
+    await logRideEvent(offer.rideRequestId, "OFFER_REJECTED", {
+      actor: { type: "DRIVER", id: req.driverId },
+      payload: { offerId, reason, phase: offer.phase, wave: offer.wave },
+    });
+
+    // Fazdaki herkes reddettiyse süreyi beklemeden devam et
+    advanceIfAllRejected(offer.rideRequestId, offer.phase).catch((err) =>
+      console.error("advanceIfAllRejected error:", err)
+    );
+
+    res.json({ ok: true, offer });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Offer reject hata", error: String(e) });
+  }
+});
+
+// Fazda bekleyen (SENT) teklif kalmadıysa: RANKED'de sıradaki dalgayı hemen gönder,
+// dalga kalmadıysa sonraki faza geç. Planlı iş scheduler'da öne çekilir (sadece PENDING ise);
+// böylece aynı anda çalışan faz işiyle çakışmaz ve hata olursa scheduler tekrar dener.
+async function advanceIfAllRejected(rideRequestId, phase) {
+  if (phase == null) return;
+
+  const ride = await prisma.rideRequest.findUnique({
+    where: { id: rideRequestId },
+    select: { id: true, status: true, driverId: true, phase: true },
+  });
+  if (!ride || ride.driverId || ride.status !== "SEARCHING" || ride.phase !== phase) return;
+
+  const pending = await prisma.rideOffer.count({
+    where: { rideRequestId, phase, status: "SENT", expiresAt: { gt: new Date() } },
+  });
+  if (pending > 0) return;
+
+  const nextWave = await prisma.scheduledJob.findFirst({
+    where: {
+      rideRequestId,
+      type: JOB_DISPATCH_WAVE,
+      status: "PENDING",
+      key: { startsWith: `ride:${rideRequestId}:phase:${phase}:wave:` },
+    },
+  });
+  if (nextWave) {
+    const moved = await scheduler.runNow({ id: nextWave.id });
+    if (moved.count === 1) return;
+  }
+
+  await scheduler.runNow({ key: `ride:${rideRequestId}:phase:${phase}` });
+}
+
+/* =========================
+   SCHEDULED RIDES (DRIVER)
+========================= */
+
+// Sürücü panosu: sürücüye bu mesafedeki ileri tarihli çağrılar gösterilir
+const SCHEDULED_BOARD_RADIUS_KM = Number(process.env.SCHEDULED_BOARD_RADIUS_KM) || 30;
+// Bir sürücünün önceden kabul ettiği iki çağrı arasında en az bu kadar dakika olmalı
+const PRE_ASSIGN_GAP_MINUTES = 60;
+
+const SCHEDULED_RIDE_SELECT = {
+  id: true,
+  pickupText: true,
+  pickupLat: true,
+  pickupLng: true,
+  dropoffText: true,
+  stops: RIDE_STOPS_SELECT,
+  region: true,
+  scheduledAt: true,
+  estimatedDistanceKm: true,
+  estimatedFare: true,
+  preAssignedDriverId: true,
+  preAssignedAt: true,
+};
+
+// Kabul edilmemiş ileri tarihli çağrılar + sürücünün önceden kabul ettikleri
+app.get("/drivers/scheduled-rides", driverAuth, async (req, res) => {
+  try {
+    const driver = await prisma.driver.findUnique({
+      where: { id: req.driverId },
+      select: { status: true, lat: true, lng: true },
+    });
+    if (driver?.status !== "APPROVED") {
+      return res.status(403).json({ ok: false, message: "Hesabınız onaylı değil." });
+    }
+
+    const rides = await prisma.rideRequest.findMany({
+      where: {
+        status: "SCHEDULED",
+        OR: [{ preAssignedDriverId: null }, { preAssignedDriverId: req.driverId }],
+      },
+      orderBy: { scheduledAt: "asc" },
+      select: SCHEDULED_RIDE_SELECT,
+      take: 200,
+    });
+
+    const list = rides
+      .map((r) => ({
+        ...r,
+        mine: r.preAssignedDriverId === req.driverId,
+        distanceKm:
+          driver.lat != null && driver.lng != null && r.pickupLat != null && r.pickupLng != null
+            ? Math.round(distanceKm(driver.lat, driver.lng, r.pickupLat, r.pickupLng) * 100) / 100
+            : null,
+      }))
+      .filter((r) => r.mine || r.distanceKm == null || r.distanceKm <= SCHEDULED_BOARD_RADIUS_KM);
+
+    res.json({ ok: true, rides: list });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Scheduled rides hata", error: String(e) });
+  }
+});
+
+// Önceden kabul: dispatch zamanı geldiğinde ride bu sürücüye atanır
+app.post("/drivers/scheduled-rides/:id/claim", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const driver = await prisma.driver.findUnique({
+      where: { id: req.driverId },
+      select: { status: true, lat: true, lng: true },
+    });
+    if (driver?.status !== "APPROVED") {
+      return res.status(403).json({ ok: false, message: "Hesabınız onaylı değil." });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id },
+      select: { status: true, scheduledAt: true, pickupLat: true, pickupLng: true },
+    });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.status !== "SCHEDULED") {
+      return res.status(409).json({ ok: false, message: "Çağrı artık önceden kabul edilemez." });
+    }
+
+    // Panodaki kuralın aynısı: konumlar biliniyorsa çağrı SCHEDULED_BOARD_RADIUS_KM içinde olmalı
+    if (
+      driver.lat != null &&
+      driver.lng != null &&
+      ride.pickupLat != null &&
+      ride.pickupLng != null &&
+      distanceKm(driver.lat, driver.lng, ride.pickupLat, ride.pickupLng) > SCHEDULED_BOARD_RADIUS_KM
+    ) {
+      return res.status(409).json({ ok: false, message: "Çağrı bulunduğunuz konuma çok uzak." });
+    }
+
+    const gapMs = PRE_ASSIGN_GAP_MINUTES * 60000;
+    const clash = await prisma.rideRequest.count({
+      where: {
+        id: { not: id },
+        status: "SCHEDULED",
+        preAssignedDriverId: req.driverId,
+        scheduledAt: {
+          gt: new Date(ride.scheduledAt.getTime() - gapMs),
+          lt: new Date(ride.scheduledAt.getTime() + gapMs),
+        },
+      },
+    });
+    if (clash > 0) {
+      return res.status(409).json({ ok: false, message: "Bu saate yakın önceden kabul ettiğiniz bir çağrı var." });
+    }
+
+    // Aynı anda iki sürücü kabul ederse ikincisi düşer
+    const claimed = await prisma.rideRequest.updateMany({
+      where: { id, status: "SCHEDULED", preAssignedDriverId: null },
+      data: { preAssignedDriverId: req.driverId, preAssignedAt: new Date() },
+    });
+    if (claimed.count === 0) return res.status(409).json({ ok: false, message: "Çağrı zaten alınmış." });
+
+    await logRideEvent(id, "PRE_ASSIGNED", { actor: { type: "DRIVER", id: req.driverId } });
+    await publishRideUpdate(id);
+
+    const saved = await prisma.rideRequest.findUnique({ where: { id }, select: SCHEDULED_RIDE_SELECT });
+    res.json({ ok: true, ride: saved });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Scheduled claim hata", error: String(e) });
+  }
+});
+
+// Önceden kabulden vazgeç (dispatch başlamadan)
+app.post("/drivers/scheduled-rides/:id/release", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const released = await prisma.rideRequest.updateMany({
+      where: { id, status: "SCHEDULED", preAssignedDriverId: req.driverId },
+      data: { preAssignedDriverId: null, preAssignedAt: null },
+    });
+    if (released.count === 0) {
+      return res.status(409).json({ ok: false, message: "Önceden kabul ettiğiniz bekleyen bir çağrı değil." });
+    }
+
+    await logRideEvent(id, "PRE_ASSIGNMENT_RELEASED", {
+      actor: { type: "DRIVER", id: req.driverId },
+      payload: { reason: "DRIVER_RELEASED" },
+    });
+    await publishRideUpdate(id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Scheduled release hata", error: String(e) });
+  }
+});
+
+/* =========================
+   RIDES (DRIVER)
+========================= */
+
+// Sürücü: kendi aldığı ride'lar
+app.get("/rides/driver/my", driverAuth, async (req, res) => {
+  try {
+    const rides = await prisma.rideRequest.findMany({
+      where: { driverId: req.driverId },
+      orderBy: { createdAt: "desc" },
+      include: { stops: RIDE_STOPS_SELECT },
+      take: 50,
+    });
+    res.json({ ok: true, rides });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver rides my hata", error: String(e) });
+  }
+});
+
+// Sürücü: kabul ettiği ride'ı iptal et
+app.post("/rides/driver/:id/cancel", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const reason = String(req.body?.reason || "").toUpperCase();
+    if (!DRIVER_CANCEL_REASONS.has(reason)) {
+      return res.status(400).json({
+        ok: false,
+        message: `reason şunlardan biri olmalı: ${[...DRIVER_CANCEL_REASONS].join(", ")}`,
+      });
+    }
+
+    const result = await cancelRide({ rideId: id, by: "DRIVER", actorId: req.driverId, reason });
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, message: result.message });
+    }
+
+    res.json({ ok: true, ride: result.ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver ride cancel hata", error: String(e) });
+  }
+});
+
+// Sürücü: yolculuk sırasında ara duraklara varışı işaretle. Duraklar sırayla işaretlenir.
+app.post("/rides/driver/:id/stops/:position/reached", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const position = Number(req.params.position);
+    if (!Number.isInteger(id) || !Number.isInteger(position)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id / durak sırası" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id },
+      select: { driverId: true, status: true, stops: RIDE_STOPS_SELECT },
+    });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.driverId !== req.driverId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+    if (ride.status !== "IN_PROGRESS") {
+      return res.status(409).json({ ok: false, message: "Duraklar sadece yolculuk sırasında (IN_PROGRESS) işaretlenir." });
+    }
+
+    const stop = ride.stops.find((st) => st.position === position);
+    if (!stop) return res.status(404).json({ ok: false, message: "Durak bulunamadı" });
+    if (stop.reachedAt) return res.status(409).json({ ok: false, message: "Bu durağa zaten varıldı." });
+
+    const pending = ride.stops.find((st) => !st.reachedAt);
+    if (pending.position !== position) {
+      return res.status(409).json({ ok: false, message: `Önce ${pending.position}. durak işaretlenmeli.` });
+    }
+
+    const updated = await prisma.rideStop.updateMany({
+      where: { rideRequestId: id, position, reachedAt: null },
+      data: { reachedAt: new Date() },
+    });
+    if (updated.count === 0) return res.status(409).json({ ok: false, message: "Bu durağa zaten varıldı." });
+
+    await logRideEvent(id, "STOP_REACHED", {
+      actor: { type: "DRIVER", id: req.driverId },
+      payload: { position, remaining: ride.stops.filter((st) => !st.reachedAt).length - 1 },
+    });
+    await publishRideUpdate(id);
+
+    const stops = await prisma.rideStop.findMany({ where: { rideRequestId: id }, ...RIDE_STOPS_SELECT });
+    res.json({ ok: true, stops });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Stop reached hata", error: String(e) });
+  }
+});
+
+// Sürücü: kendi ride'ının rotası (müşteriye geliş dahil)
+app.get("/rides/driver/:id/route", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, select: ROUTE_RIDE_SELECT });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+    if (ride.driverId !== req.driverId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+
+    await sendRideRoute(req, res, ride, { tripOnly: false });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver ride route hata", error: String(e) });
+  }
+});
+
+// Sürücü: ride status güncelle
+app.post("/rides/status", driverAuth, async (req, res) => {
+  try {
+    const { rideId, status } = req.body;
+    if (!rideId || !status) {
+      return res.status(400).json({ ok: false, message: "rideId ve status gerekli." });
+    }
+
+    if (!ALLOWED_RIDE_STATUS.has(String(status))) {
+      return res.status(400).json({
+        ok: false,
+        message: "Geçersiz status.",
+      });
+    }
+
+    if (!DRIVER_SETTABLE_STATUS.has(String(status))) {
+      return res.status(400).json({
+        ok: false,
+        message: `Sürücü sadece ${[...DRIVER_SETTABLE_STATUS].join(", ")} verebilir.`,
+      });
+    }
+
+    const id = Number(rideId);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "rideId sayı olmalı." });
+    }
+
+    const owned = await prisma.rideRequest.findFirst({ where: { id, driverId: req.driverId }, select: { id: true } });
+    if (!owned) {
+      return res.status(403).json({ ok: false, message: "Bu ride sana ait değil veya bulunamadı." });
+    }
+
+    // İptal sebep + ücret kurallarıyla ayrı akıştan geçer
+    let result;
+    if (status === "CANCELED") {
+      const reason = String(req.body.reason || "OTHER").toUpperCase();
+      result = await cancelRide({
+        rideId: id,
+        by: "DRIVER",
+        actorId: req.driverId,
+        reason: DRIVER_CANCEL_REASONS.has(reason) ? reason : "OTHER",
+      });
+    } else {
+      result = await changeRideStatus(id, String(status), {}, { type: "DRIVER", id: req.driverId });
+    }
+
+    if (!result.ok) {
+      return res.status(result.code).json({ ok: false, message: result.message });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id } });
+    res.json({ ok: true, ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Status update hata", error: String(e) });
+  }
+});
+
+/* =========================
+   DRIVER EARNINGS
+========================= */
+
+const EARNINGS_DEFAULT_DAYS = 30;
+const EARNINGS_MAX_DAYS = 366;
+
+// "2026-10-01" gibi sadece tarih verilirse yerel gün: from günün başı, to günün sonu (dahil)
+function parseReportDate(v, edge) {
+  const s = String(v);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return periodOf(new Date(`${s}T12:00:00Z`), "day")[edge];
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ?from=&to= rapor aralığı; verilmezse to = şimdi, from = to - defaultDays
+function parseDateRange(query, { defaultDays, maxDays }) {
+  const to = query.to ? parseReportDate(query.to, "end") : new Date();
+  const from = query.from
+    ? parseReportDate(query.from, "start")
+    : to && new Date(to.getTime() - defaultDays * 24 * 3600 * 1000);
+  if (!from || !to) return { error: "from / to geçerli bir tarih olmalı." };
+  if (from >= to) return { error: "from, to'dan önce olmalı." };
+  if (to - from > maxDays * 24 * 3600 * 1000) {
+    return { error: `En fazla ${maxDays} günlük rapor alınabilir.` };
+  }
+  return { from, to };
+}
+
+// ?period=day|week|month&from=&to= (varsayılan son 30 gün, günlük)
+function parseEarningsQuery(query) {
+  const period = String(query.period || "day").toLowerCase();
+  if (!REPORT_PERIODS.has(period)) return { error: "period day, week veya month olmalı." };
+
+  const range = parseDateRange(query, { defaultDays: EARNINGS_DEFAULT_DAYS, maxDays: EARNINGS_MAX_DAYS });
+  if (range.error) return range;
+  return { period, ...range };
+}
+
+// Net kazanç defterdeki sürücü payından (RIDE_CHARGE); defter kaydı olmayan eski yolculuklarda
+// güncel komisyon oranıyla hesaplanır. Online / meşgul saatler DriverAvailabilityLog'dan.
+async function driverEarnings(driverId, { period, from, to }) {
+  const until = new Date(Math.min(to.getTime(), Date.now()));
+
+  const [rides, changes, before] = await Promise.all([
+    prisma.rideRequest.findMany({
+      where: { driverId, status: "COMPLETED", completedAt: { gte: from, lt: to } },
+      select: {
+        id: true,
+        completedAt: true,
+        finalDistanceKm: true,
+        finalFare: true,
+        discountAmount: true,
+        paymentMethod: true,
+      },
+    }),
+    prisma.driverAvailabilityLog.findMany({
+      where: { driverId, at: { gte: from, lt: until } },
+      orderBy: { at: "asc" },
+      select: { at: true, previous: true, availability: true },
+    }),
+    prisma.driverAvailabilityLog.findFirst({
+      where: { driverId, at: { lt: from } },
+      orderBy: { at: "desc" },
+      select: { availability: true },
+    }),
+  ]);
+
+  const shares = await prisma.ledgerEntry.findMany({
+    where: {
+      accountType: "DRIVER",
+      driverId,
+      transaction: { type: "RIDE_CHARGE", rideRequestId: { in: rides.map((r) => r.id) } },
+    },
+    select: { amount: true, transaction: { select: { rideRequestId: true } } },
+  });
+  const netByRide = new Map(shares.map((e) => [e.transaction.rideRequestId, -e.amount]));
+
+  return buildEarningsReport({
+    rides: rides.map((r) => {
+      const grossFare = roundMoney((r.finalFare ?? 0) + (r.discountAmount ?? 0));
+      return {
+        completedAt: r.completedAt,
+        distanceKm: r.finalDistanceKm ?? 0,
+        grossFare,
+        netEarnings: netByRide.get(r.id) ?? roundMoney(grossFare * (1 - COMMISSION_RATE)),
+        cashCollected: r.paymentMethod === "CASH" ? r.finalFare ?? 0 : 0,
+      };
+    }),
+    availability: changes,
+    initial: before?.availability ?? changes[0]?.previous ?? "OFFLINE",
+    from,
+    to: until,
+    period,
+  });
+}
+
+// ?format=json (varsayılan) veya csv; CSV'nin son satırı toplam
+async function sendDriverEarnings(req, res, driverId) {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ ok: false, message: "format json veya csv olmalı." });
+  }
+
+  const q = parseEarningsQuery(req.query);
+  if (q.error) return res.status(400).json({ ok: false, message: q.error });
+
+  const report = await driverEarnings(driverId, q);
+
+  if (format === "csv") {
+    const day = (d) => periodOf(d, "day").key;
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="earnings-driver-${driverId}-${q.period}-${day(q.from)}-${day(q.to)}.csv"`
+    );
+    return res.send(toCsv([...report.rows, report.totals], EARNINGS_CSV_COLUMNS));
+  }
+
+  res.json({ ok: true, driverId, period: q.period, from: q.from, to: q.to, ...report });
+}
+
+app.get("/drivers/earnings", driverAuth, async (req, res) => {
+  try {
+    await sendDriverEarnings(req, res, req.driverId);
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Earnings hata", error: String(e) });
+  }
+});
+
+/* =========================
+   ADMIN: AUTH + AUDIT LOG
+========================= */
+
+// Admin işlemlerinin kaydı; log yazılamazsa işlem geri alınmaz, sadece konsola düşer
+async function logAdminAction(req, action, { targetType = null, targetId = null, payload = null } = {}) {
+  try {
+    await prisma.adminAuditLog.create({
+      data: {
+        adminId: req.adminId,
+        action,
+        targetType,
+        targetId,
+        payload: payload ?? undefined,
+        ip: req.ip || null,
+      },
+    });
+  } catch (e) {
+    console.error("admin audit log error:", e);
+  }
+}
+
+app.post("/admin/login", loginLimit, async (req, res) => {
+  try {
+    if (!mustHaveJwtSecret(res)) return;
+
+    const email = (req.body?.email ?? "").toString().trim().toLowerCase();
+    const password = (req.body?.password ?? "").toString();
+    if (!email || !password) {
+      return res.status(400).json({ ok: false, message: "Email ve şifre gerekli." });
+    }
+
+    const admin = await prisma.admin.findUnique({ where: { email } });
+    if (!admin) return res.status(401).json({ ok: false, message: "Email veya şifre hatalı." });
+
+    const lockKey = `ADMIN:${admin.id}`;
+    if (await rejectIfLocked(res, lockKey)) return;
+
+    const ok = await bcrypt.compare(password, admin.password);
+    if (!ok) return rejectWrongPassword(res, lockKey, "Email veya şifre hatalı.");
+    if (!admin.isActive) return res.status(401).json({ ok: false, message: "Email veya şifre hatalı." });
+    await loginLockout.succeed(lockKey);
+
+    await prisma.admin.update({ where: { id: admin.id }, data: { lastLoginAt: new Date() } });
+
+    const token = signToken({ adminId: admin.id, role: "admin" }, "12h");
+
+    req.adminId = admin.id;
+    await logAdminAction(req, "LOGIN", { targetType: "Admin", targetId: admin.id });
+
+    res.json({ ok: true, token, admin: { id: admin.id, name: admin.name, email: admin.email } });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin login hata", error: String(e) });
+  }
+});
+
+app.get("/admin/me", adminAuth, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.adminId },
+      select: { id: true, name: true, email: true, lastLoginAt: true, createdAt: true },
+    });
+    res.json({ ok: true, admin });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin me hata", error: String(e) });
+  }
+});
+
+// ?adminId=&action=&targetType=&targetId=&page=&pageSize=
+app.get("/admin/audit-logs", adminAuth, async (req, res) => {
+  try {
+    const { page, pageSize, skip } = pageOf(req.query);
+    const where = {};
+    if (req.query.adminId) where.adminId = Number(req.query.adminId);
+    if (req.query.action) where.action = String(req.query.action).toUpperCase();
+    if (req.query.targetType) where.targetType = String(req.query.targetType);
+    if (req.query.targetId) where.targetId = Number(req.query.targetId);
+    if ([where.adminId, where.targetId].some((v) => v !== undefined && !Number.isFinite(v))) {
+      return res.status(400).json({ ok: false, message: "adminId / targetId sayı olmalı." });
+    }
+
+    const [total, logs] = await Promise.all([
+      prisma.adminAuditLog.count({ where }),
+      prisma.adminAuditLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        include: { admin: { select: { id: true, name: true, email: true } } },
+        skip,
+        take: pageSize,
+      }),
+    ]);
+
+    res.json({ ok: true, total, page, pageSize, logs });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Audit log hata", error: String(e) });
+  }
+});
+
+// Telefonlar E.164 saklanıyor; "0532 12" aramasını "53212" olarak eşleştir
+function phoneSearchDigits(q) {
+  const digits = q.replace(/\D/g, "").replace(/^0+/, "");
+  return digits.length >= 3 ? digits : null;
+}
+
+// Admin listeleri için sayfalama: ?page=1&pageSize=50 (en fazla 200)
+function pageOf(query) {
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, Number.parseInt(query.pageSize, 10) || 50));
+  return { page, pageSize, skip: (page - 1) * pageSize };
+}
+
+/* =========================
+   ADMIN: DISPATCH POLICY
+========================= */
+
+app.get("/admin/dispatch-policies", adminAuth, async (req, res) => {
+  try {
+    const policies = await prisma.dispatchPolicy.findMany({
+      orderBy: [{ isDefault: "desc" }, { priority: "desc" }, { id: "asc" }],
+    });
+    res.json({ ok: true, policies, fallbackPhases: DEFAULT_DISPATCH_PHASES });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Policy list hata", error: String(e) });
+  }
+});
+
+app.post("/admin/dispatch-policies", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = parsePolicyInput(req.body);
+    if (error) return res.status(400).json({ ok: false, message: error });
+
+    const policy = await prisma.$transaction(async (tx) => {
+      // Tek bir varsayılan politika olabilir
+      if (data.isDefault) await tx.dispatchPolicy.updateMany({ data: { isDefault: false } });
+      return tx.dispatchPolicy.create({ data });
+    });
+
+    await logAdminAction(req, "POLICY_CREATE", { targetType: "DispatchPolicy", targetId: policy.id, payload: data });
+    res.json({ ok: true, policy });
+  } catch (e) {
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu region için politika zaten var." });
+    }
+    res.status(500).json({ ok: false, message: "Policy create hata", error: String(e) });
+  }
+});
+
+app.patch("/admin/dispatch-policies/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz policy id" });
+    }
+
+    const { data, error } = parsePolicyInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, message: error });
+
+    const result = await prisma.$transaction(async (tx) => {
+      const exists = await tx.dispatchPolicy.findUnique({ where: { id } });
+      if (!exists) return null;
+
+      if (["phases", "dispatchMode", "waveTtlSeconds"].some((k) => k in data)) {
+        const error = waveTtlError({ ...exists, ...data });
+        if (error) return { error };
+      }
+
+      if (data.isDefault) {
+        await tx.dispatchPolicy.updateMany({ where: { id: { not: id } }, data: { isDefault: false } });
+      }
+      return { policy: await tx.dispatchPolicy.update({ where: { id }, data }) };
+    });
+
+    if (!result) return res.status(404).json({ ok: false, message: "Policy bulunamadı" });
+    if (result.error) return res.status(400).json({ ok: false, message: result.error });
+    const { policy } = result;
+
+    await logAdminAction(req, "POLICY_UPDATE", { targetType: "DispatchPolicy", targetId: id, payload: data });
+    res.json({ ok: true, policy });
+  } catch (e) {
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu region için politika zaten var." });
+    }
+    res.status(500).json({ ok: false, message: "Policy update hata", error: String(e) });
+  }
+});
+
+// Silinen politikayı kullanan ride'lar varsayılan faz tablosuna düşer
+app.delete("/admin/dispatch-policies/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz policy id" });
+    }
+
+    const deleted = await prisma.dispatchPolicy.deleteMany({ where: { id } });
+    if (deleted.count === 0) return res.status(404).json({ ok: false, message: "Policy bulunamadı" });
+
+    await logAdminAction(req, "POLICY_DELETE", { targetType: "DispatchPolicy", targetId: id });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Policy delete hata", error: String(e) });
+  }
+});
+
+/* =========================
+   RATINGS
+========================= */
+
+// Müşterinin sürücüye, sürücünün müşteriye seçebileceği etiketler
+const DRIVER_RATING_TAGS = new Set([
+  "CLEAN_CAR",
+  "POLITE",
+  "SAFE_DRIVING",
+  "ON_TIME",
+  "KNOWS_ROUTE",
+  "DIRTY_CAR",
+  "RUDE",
+  "UNSAFE_DRIVING",
+  "LATE",
+]);
+const CUSTOMER_RATING_TAGS = new Set(["POLITE", "ON_TIME", "RESPECTFUL", "RUDE", "LATE", "DIRTY"]);
+
+function parseRatingInput(body, allowedTags) {
+  const stars = Number(body?.stars);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    return { error: "stars 1-5 arası tam sayı olmalı." };
+  }
+
+  const tags = body?.tags == null ? [] : body.tags;
+  if (!Array.isArray(tags) || tags.length > 5) return { error: "tags en fazla 5 elemanlı bir dizi olmalı." };
+  const normTags = [...new Set(tags.map((t) => String(t).toUpperCase()))];
+  const bad = normTags.find((t) => !allowedTags.has(t));
+  if (bad) return { error: `Geçersiz tag: ${bad}` };
+
+  const comment = body?.comment == null ? null : String(body.comment).trim().slice(0, 500) || null;
+  return { data: { stars, tags: normTags, comment } };
+}
+
+// Puanı kaydeder ve puanlanan tarafın ortalamasını günceller.
+// raterType CUSTOMER: müşteri sürücüyü, DRIVER: sürücü müşteriyi puanlar.
+async function submitRating({ rideId, raterType, raterId, body }) {
+  const allowedTags = raterType === "CUSTOMER" ? DRIVER_RATING_TAGS : CUSTOMER_RATING_TAGS;
+  const { data, error } = parseRatingInput(body, allowedTags);
+  if (error) return { ok: false, code: 400, message: error };
+
+  const ride = await prisma.rideRequest.findUnique({
+    where: { id: rideId },
+    select: { id: true, status: true, customerId: true, driverId: true },
+  });
+  if (!ride) return { ok: false, code: 404, message: "Ride bulunamadı" };
+
+  const owner = raterType === "CUSTOMER" ? ride.customerId : ride.driverId;
+  if (owner !== raterId) return { ok: false, code: 403, message: "Bu ride sana ait değil" };
+  if (ride.status !== "COMPLETED") {
+    return { ok: false, code: 409, message: "Sadece tamamlanan ride puanlanabilir." };
+  }
+
+  try {
+    const rating = await prisma.$transaction(async (tx) => {
+      const created = await tx.rideRating.create({
+        data: {
+          rideRequestId: ride.id,
+          raterType,
+          driverId: raterType === "CUSTOMER" ? ride.driverId : null,
+          userId: raterType === "DRIVER" ? ride.customerId : null,
+          ...data,
+        },
+      });
+
+      // Ortalama puanı yeniden hesapla
+      if (raterType === "CUSTOMER") {
+        const agg = await tx.rideRating.aggregate({
+          where: { driverId: ride.driverId, raterType: "CUSTOMER" },
+          _avg: { stars: true },
+          _count: { _all: true },
+        });
+        await tx.driver.update({
+          where: { id: ride.driverId },
+          data: { ratingAvg: Math.round(agg._avg.stars * 100) / 100, ratingCount: agg._count._all },
+        });
+      } else {
+        const agg = await tx.rideRating.aggregate({
+          where: { userId: ride.customerId, raterType: "DRIVER" },
+          _avg: { stars: true },
+          _count: { _all: true },
+        });
+        await tx.user.update({
+          where: { id: ride.customerId },
+          data: { ratingAvg: Math.round(agg._avg.stars * 100) / 100, ratingCount: agg._count._all },
+        });
+      }
+
+      return created;
+    });
+
+    return { ok: true, rating };
+  } catch (e) {
+    if (e?.code === "P2002") return { ok: false, code: 409, message: "Bu ride için zaten puan verdin." };
+    throw e;
+  }
+}
+
+// Müşteri: sürücüyü puanla
+app.post("/rides/:id/rating", auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const result = await submitRating({ rideId: id, raterType: "CUSTOMER", raterId: req.userId, body: req.body });
+    if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+
+    res.json({ ok: true, rating: result.rating });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Rating hata", error: String(e) });
+  }
+});
+
+// Sürücü: müşteriyi puanla
+app.post("/rides/driver/:id/rating", driverAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const result = await submitRating({ rideId: id, raterType: "DRIVER", raterId: req.driverId, body: req.body });
+    if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+
+    res.json({ ok: true, rating: result.rating });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver rating hata", error: String(e) });
+  }
+});
+
+/* =========================
+   ADMIN: DRIVERS
+========================= */
+
+const ADMIN_DRIVER_SELECT = {
+  id: true,
+  name: true,
+  phone: true,
+  status: true,
+  statusReason: true,
+  availability: true,
+  isOnline: true,
+  lat: true,
+  lng: true,
+  updatedAt: true,
+  ratingAvg: true,
+  ratingCount: true,
+  createdAt: true,
+};
+
+// ?q=isim/telefon&status=PENDING&availability=ONLINE&page=&pageSize=
+app.get("/admin/drivers", adminAuth, async (req, res) => {
+  try {
+    const { page, pageSize, skip } = pageOf(req.query);
+    const where = {};
+
+    const q = (req.query.q ?? "").toString().trim();
+    if (q) {
+      where.OR = [{ name: { contains: q, mode: "insensitive" } }];
+      const digits = phoneSearchDigits(q);
+      if (digits) where.OR.push({ phone: { contains: digits } });
+    }
+    if (req.query.status) {
+      const v = String(req.query.status).toUpperCase();
+      if (!["PENDING", "APPROVED", "SUSPENDED"].includes(v)) {
+        return res.status(400).json({ ok: false, message: "status PENDING/APPROVED/SUSPENDED olmalı." });
+      }
+      where.status = v;
+    }
+    if (req.query.availability) {
+      const v = String(req.query.availability).toUpperCase();
+      if (!["ONLINE", "BUSY", "OFFLINE"].includes(v)) {
+        return res.status(400).json({ ok: false, message: "availability ONLINE/BUSY/OFFLINE olmalı." });
+      }
+      where.availability = v;
+    }
+
+    const [total, drivers] = await Promise.all([
+      prisma.driver.count({ where }),
+      prisma.driver.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        select: ADMIN_DRIVER_SELECT,
+        skip,
+        take: pageSize,
+      }),
+    ]);
+
+    res.json({ ok: true, total, page, pageSize, drivers });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin drivers hata", error: String(e) });
+  }
+});
+
+// Düşük puanlı sürücüler: ?maxAvg=3.5&minCount=5
+app.get("/admin/drivers/low-rated", adminAuth, async (req, res) => {
+  try {
+    const maxAvg = req.query.maxAvg == null ? 3.5 : Number(req.query.maxAvg);
+    const minCount = req.query.minCount == null ? 5 : Number(req.query.minCount);
+    if (!Number.isFinite(maxAvg) || !Number.isInteger(minCount) || minCount < 0) {
+      return res.status(400).json({ ok: false, message: "maxAvg sayı, minCount tam sayı olmalı." });
+    }
+
+    const drivers = await prisma.driver.findMany({
+      where: { ratingAvg: { lte: maxAvg }, ratingCount: { gte: minCount } },
+      orderBy: [{ ratingAvg: "asc" }, { ratingCount: "desc" }],
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        availability: true,
+        ratingAvg: true,
+        ratingCount: true,
+        createdAt: true,
+      },
+      take: 200,
+    });
+
+    res.json({ ok: true, drivers });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Low rated drivers hata", error: String(e) });
+  }
+});
+
+app.get("/admin/drivers/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz driver id" });
+    }
+
+    const driver = await prisma.driver.findUnique({ where: { id }, select: ADMIN_DRIVER_SELECT });
+    if (!driver) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı" });
+
+    const [rides, activeRide] = await Promise.all([
+      prisma.rideRequest.groupBy({ by: ["status"], where: { driverId: id }, _count: true }),
+      prisma.rideRequest.findFirst({
+        where: { driverId: id, status: { in: ACTIVE_RIDE_STATUSES } },
+        select: { id: true, status: true, pickupText: true, dropoffText: true, acceptedAt: true },
+      }),
+    ]);
+
+    res.json({
+      ok: true,
+      driver,
+      activeRide,
+      rideCounts: Object.fromEntries(rides.map((r) => [r.status, r._count])),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin driver hata", error: String(e) });
+  }
+});
+
+// Sürücünün kazanç / aktivite raporu (GET /drivers/earnings ile aynı parametreler)
+app.get("/admin/drivers/:id/earnings", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz driver id" });
+    }
+
+    const driver = await prisma.driver.findUnique({ where: { id }, select: { id: true } });
+    if (!driver) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı" });
+
+    if (String(req.query.format).toLowerCase() === "csv") {
+      await logAdminAction(req, "DRIVER_EARNINGS_EXPORT", {
+        targetType: "Driver",
+        targetId: id,
+        payload: { period: req.query.period ?? null, from: req.query.from ?? null, to: req.query.to ?? null },
+      });
+    }
+    await sendDriverEarnings(req, res, id);
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin driver earnings hata", error: String(e) });
+  }
+});
+
+// Askıdaki sürücüyü tekrar açar. Yeni (PENDING) sürücü sadece başvuru incelemesiyle onaylanır.
+app.post("/admin/drivers/:id/approve", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz driver id" });
+    }
+
+    const current = await prisma.driver.findUnique({ where: { id }, select: { status: true } });
+    if (!current) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı" });
+    if (current.status === "PENDING") {
+      return res.status(409).json({
+        ok: false,
+        message: "Sürücü başvurusu incelenmeli: POST /admin/driver-applications/:id/review",
+      });
+    }
+
+    await prisma.driver.update({
+      where: { id },
+      data: { status: "APPROVED", statusReason: null },
+    });
+
+    await logAdminAction(req, "DRIVER_APPROVE", { targetType: "Driver", targetId: id });
+
+    const driver = await prisma.driver.findUnique({ where: { id }, select: ADMIN_DRIVER_SELECT });
+    res.json({ ok: true, driver });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver approve hata", error: String(e) });
+  }
+});
+
+// Askıya alınan sürücü OFFLINE olur, bekleyen teklifleri düşer; devam eden yolculuğu bitirebilir
+app.post("/admin/drivers/:id/suspend", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz driver id" });
+    }
+
+    const reason = (req.body?.reason ?? "").toString().trim().slice(0, 500);
+    if (!reason) return res.status(400).json({ ok: false, message: "reason gerekli." });
+
+    const updated = await prisma.driver.updateMany({
+      where: { id },
+      data: { status: "SUSPENDED", statusReason: reason, availability: "OFFLINE", isOnline: false },
+    });
+    if (updated.count === 0) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı" });
+
+    await expireOffers({ driverId: id }, "DRIVER_SUSPENDED");
+    await revokeSessions("DRIVER", id, "SUSPENDED");
+    await logAdminAction(req, "DRIVER_SUSPEND", { targetType: "Driver", targetId: id, payload: { reason } });
+
+    const driver = await prisma.driver.findUnique({ where: { id }, select: ADMIN_DRIVER_SELECT });
+    res.json({ ok: true, driver });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Driver suspend hata", error: String(e) });
+  }
+});
+
+/* =========================
+   ADMIN: DRIVER APPLICATIONS
+========================= */
+
+const APPLICATION_DECISIONS = ["APPROVED", "REJECTED", "NEEDS_INFO"];
+
+// ?status=PENDING&q=isim/plaka/telefon&page=&pageSize= (eski gönderim önce: kuyruk sırası)
+app.get("/admin/driver-applications", adminAuth, async (req, res) => {
+  try {
+    const { page, pageSize, skip } = pageOf(req.query);
+    const where = {};
+
+    if (req.query.status) {
+      const v = String(req.query.status).toUpperCase();
+      if (!["PENDING", ...APPLICATION_DECISIONS].includes(v)) {
+        return res.status(400).json({ ok: false, message: "status PENDING/APPROVED/REJECTED/NEEDS_INFO olmalı." });
+      }
+      where.status = v;
+    }
+    const q = (req.query.q ?? "").toString().trim();
+    if (q) {
+      where.OR = [
+        { fullName: { contains: q, mode: "insensitive" } },
+        { vehiclePlate: { contains: q.toUpperCase() } },
+      ];
+      const digits = phoneSearchDigits(q);
+      if (digits) where.OR.push({ driver: { phone: { contains: digits } } });
+    }
+
+    const [total, applications] = await Promise.all([
+      prisma.driverApplication.count({ where }),
+      prisma.driverApplication.findMany({
+        where,
+        orderBy: { submittedAt: "asc" },
+        select: {
+          ...APPLICATION_SELECT,
+          driver: { select: { id: true, name: true, phone: true, status: true } },
+        },
+        skip,
+        take: pageSize,
+      }),
+    ]);
+
+    res.json({ ok: true, total, page, pageSize, applications });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin applications hata", error: String(e) });
+  }
+});
+
+app.get("/admin/driver-applications/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz application id" });
+    }
+
+    const application = await prisma.driverApplication.findUnique({
+      where: { id },
+      select: {
+        ...APPLICATION_SELECT,
+        driver: { select: { id: true, name: true, phone: true, status: true, createdAt: true } },
+        reviewedByAdmin: { select: { id: true, name: true, email: true } },
+      },
+    });
+    if (!application) return res.status(404).json({ ok: false, message: "Başvuru bulunamadı" });
+
+    res.json({ ok: true, application });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin application hata", error: String(e) });
+  }
+});
+
+// Belge dosyası (kişisel veri: her görüntüleme loglanır)
+app.get("/admin/driver-applications/:id/documents/:docId", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const docId = Number(req.params.docId);
+    if (!Number.isFinite(id) || !Number.isFinite(docId)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz id" });
+    }
+
+    const doc = await prisma.driverDocument.findFirst({ where: { id: docId, applicationId: id } });
+    if (!doc) return res.status(404).json({ ok: false, message: "Belge bulunamadı" });
+
+    const stream = await storage.get(doc.storageKey);
+    if (!stream) return res.status(404).json({ ok: false, message: "Belge dosyası bulunamadı" });
+
+    await logAdminAction(req, "DOCUMENT_VIEW", {
+      targetType: "DriverApplication",
+      targetId: id,
+      payload: { documentId: doc.id, type: doc.type },
+    });
+
+    res.setHeader("Content-Type", doc.mimeType);
+    res.setHeader("Cache-Control", "private, no-store");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${doc.type.toLowerCase()}-${doc.id}${path.extname(doc.storageKey)}"`
+    );
+    stream.on("error", (err) => res.destroy(err));
+    stream.pipe(res);
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Document hata", error: String(e) });
+  }
+});
+
+// { decision: APPROVED | REJECTED | NEEDS_INFO, note } — REJECTED / NEEDS_INFO için note zorunlu
+app.post("/admin/driver-applications/:id/review", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz application id" });
+    }
+
+    const decision = String(req.body?.decision ?? "").toUpperCase();
+    if (!APPLICATION_DECISIONS.includes(decision)) {
+      return res.status(400).json({ ok: false, message: "decision APPROVED/REJECTED/NEEDS_INFO olmalı." });
+    }
+    const note = (req.body?.note ?? "").toString().trim().slice(0, 1000) || null;
+    if (decision !== "APPROVED" && !note) {
+      return res.status(400).json({ ok: false, message: "note gerekli." });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Aynı anda iki admin incelerse ikincisi burada düşer
+      const updated = await tx.driverApplication.updateMany({
+        where: { id, status: "PENDING" },
+        data: { status: decision, reviewNote: note, reviewedAt: new Date(), reviewedByAdminId: req.adminId },
+      });
+      if (updated.count === 0) {
+        const exists = await tx.driverApplication.findUnique({ where: { id }, select: { status: true } });
+        return exists
+          ? { ok: false, code: 409, message: `Başvuru ${exists.status} durumunda, incelenemez.` }
+          : { ok: false, code: 404, message: "Başvuru bulunamadı" };
+      }
+
+      const application = await tx.driverApplication.findUnique({
+        where: { id },
+        select: { ...APPLICATION_SELECT, driverId: true },
+      });
+
+      // Onaylanan sürücü teklif almaya başlar (askıdaki sürücüye dokunma)
+      if (decision === "APPROVED") {
+        await tx.driver.updateMany({
+          where: { id: application.driverId, status: "PENDING" },
+          data: { status: "APPROVED", statusReason: null },
+        });
+      }
+
+      return { ok: true, application };
+    });
+
+    if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+
+    const { driverId, ...application } = result.application;
+    pushToDriver(driverId, "application-reviewed", {
+      applicationId: id,
+      status: decision,
+      reviewNote: note,
+    });
+    await logAdminAction(req, "APPLICATION_REVIEW", {
+      targetType: "DriverApplication",
+      targetId: id,
+      payload: { decision, note, driverId },
+    });
+
+    res.json({ ok: true, application });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Application review hata", error: String(e) });
+  }
+});
+
+/* =========================
+   ADMIN: RIDES
+========================= */
+
+// Şikayet / ücret itirazı için tam rota
+app.get("/admin/rides/:id/route", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, select: ROUTE_RIDE_SELECT });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+
+    await logAdminAction(req, "RIDE_ROUTE_EXPORT", { targetType: "RideRequest", targetId: id });
+    await sendRideRoute(req, res, ride, { tripOnly: false });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin ride route hata", error: String(e) });
+  }
+});
+
+// ?status=SEARCHING&customerId=&driverId=&region=&from=ISO&to=ISO&page=&pageSize=
+app.get("/admin/rides", adminAuth, async (req, res) => {
+  try {
+    const { page, pageSize, skip } = pageOf(req.query);
+    const where = {};
+
+    if (req.query.status) {
+      const statuses = String(req.query.status).toUpperCase().split(",");
+      if (!statuses.every((s) => ALLOWED_RIDE_STATUS.has(s))) {
+        return res.status(400).json({ ok: false, message: "Geçersiz status" });
+      }
+      where.status = { in: statuses };
+    }
+    for (const key of ["customerId", "driverId"]) {
+      if (req.query[key] === undefined) continue;
+      const n = Number(req.query[key]);
+      if (!Number.isFinite(n)) return res.status(400).json({ ok: false, message: `${key} sayı olmalı.` });
+      where[key] = n;
+    }
+    if (req.query.region) where.region = normRegion(req.query.region);
+
+    const createdAt = {};
+    for (const [key, op] of [["from", "gte"], ["to", "lt"]]) {
+      if (!req.query[key]) continue;
+      const d = new Date(String(req.query[key]));
+      if (Number.isNaN(d.getTime())) {
+        return res.status(400).json({ ok: false, message: `${key} geçerli bir tarih olmalı.` });
+      }
+      createdAt[op] = d;
+    }
+    if (Object.keys(createdAt).length > 0) where.createdAt = createdAt;
+
+    const [total, rides] = await Promise.all([
+      prisma.rideRequest.count({ where }),
+      prisma.rideRequest.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        include: {
+          customer: { select: { id: true, name: true, phone: true } },
+          driver: { select: { id: true, name: true, phone: true } },
+        },
+        skip,
+        take: pageSize,
+      }),
+    ]);
+
+    res.json({ ok: true, total, page, pageSize, rides });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin rides hata", error: String(e) });
+  }
+});
+
+app.get("/admin/rides/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({
+      where: { id },
+      include: {
+        customer: { select: { id: true, name: true, phone: true } },
+        driver: { select: { id: true, name: true, phone: true, status: true } },
+        offers: {
+          orderBy: { sentAt: "asc" },
+          include: { driver: { select: { id: true, name: true, phone: true } } },
+        },
+        stops: RIDE_STOPS_SELECT,
+        promoRedemption: RIDE_PROMO_SELECT,
+        ratings: true,
+      },
+    });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+
+    res.json({ ok: true, ride });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin ride hata", error: String(e) });
+  }
+});
+
+// Ride'ın tam zaman çizelgesi: fazlar, teklifler (sürücü, sıra, puan), kabul / red, status geçişleri
+app.get("/admin/rides/:id/events", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const ride = await prisma.rideRequest.findUnique({ where: { id }, select: { id: true } });
+    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
+
+    const events = await prisma.rideEvent.findMany({
+      where: { rideRequestId: id },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+
+    res.json({ ok: true, events });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin ride events hata", error: String(e) });
+  }
+});
+
+// Elle atama: aranan ride'ı seçilen sürücüye teklif olarak gönderir; sürücü normal accept akışıyla kabul eder
+const ADMIN_DISPATCH_TTL_SECONDS = 30;
+
+app.post("/admin/rides/:id/dispatch", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const driverId = Number(req.body?.driverId);
+    if (!Number.isFinite(id) || !Number.isFinite(driverId)) {
+      return res.status(400).json({ ok: false, message: "ride id ve driverId gerekli." });
+    }
+
+    const ttlSeconds =
+      req.body?.ttlSeconds == null ? ADMIN_DISPATCH_TTL_SECONDS : Number(req.body.ttlSeconds);
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 5 || ttlSeconds > 300) {
+      return res.status(400).json({ ok: false, message: "ttlSeconds 5-300 arası tam sayı olmalı." });
+    }
+
+    const driver = await prisma.driver.findUnique({
+      where: { id: driverId },
+      select: { id: true, status: true, availability: true },
+    });
+    if (!driver) return res.status(404).json({ ok: false, message: "Sürücü bulunamadı" });
+    if (driver.status !== "APPROVED") {
+      return res.status(409).json({ ok: false, message: "Sürücü onaylı değil." });
+    }
+    if (driver.availability !== "ONLINE") {
+      return res.status(409).json({ ok: false, message: "Sürücü müsait değil." });
+    }
+
+    // Ride kilitli: aynı anda kabul / iptal edilen ride'a yeni SENT teklif gitmesin.
+    // Faz süresi dolarsa onPhaseDeadline bu teklif bitene kadar bekler.
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    const result = await prisma.$transaction(async (tx) => {
+      await lockRide(tx, id);
+
+      const ride = await tx.rideRequest.findUnique({
+        where: { id },
+        select: { id: true, status: true, driverId: true },
+      });
+      if (!ride) return { ok: false, code: 404, message: "Ride bulunamadı" };
+      if (!["OPEN", "SEARCHING"].includes(ride.status) || ride.driverId) {
+        return { ok: false, code: 409, message: `Ride ${ride.status} durumunda, atanamaz.` };
+      }
+
+      // Sürücüye bu ride için daha önce teklif gittiyse (reddetti / süresi doldu) aynı kaydı yenile
+      const offer = await tx.rideOffer.upsert({
+        where: { rideRequestId_driverId: { rideRequestId: id, driverId } },
+        create: { rideRequestId: id, driverId, status: "SENT", expiresAt, dispatchedByAdminId: req.adminId },
+        update: {
+          status: "SENT",
+          sentAt: new Date(),
+          expiresAt,
+          rejectedAt: null,
+          rejectReason: null,
+          dispatchedByAdminId: req.adminId,
+        },
+        include: OFFER_INCLUDE,
+      });
+      return { ok: true, offer };
+    });
+    if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+    const { offer } = result;
+
+    pushToDriver(driverId, "offer-created", { offer });
+    await logRideEvent(id, "OFFERS_SENT", {
+      actor: { type: "ADMIN", id: req.adminId },
+      payload: { manual: true, expiresAt, offers: [{ offerId: offer.id, driverId }] },
+    });
+    await logAdminAction(req, "RIDE_DISPATCH", {
+      targetType: "RideRequest",
+      targetId: id,
+      payload: { driverId, offerId: offer.id, ttlSeconds },
+    });
+
+    res.json({ ok: true, offer });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Admin dispatch hata", error: String(e) });
+  }
+});
+
+/* =========================
+   ADMIN: TARIFFS
+========================= */
+
+app.get("/admin/tariffs", adminAuth, async (req, res) => {
+  try {
+    const tariffs = await prisma.tariff.findMany({ orderBy: [{ isDefault: "desc" }, { id: "asc" }] });
+    res.json({ ok: true, tariffs });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Tariff list hata", error: String(e) });
+  }
+});
 
-  // Hiç sürücü yoksa direkt bir sonraki faza geç / veya fail
-  if (count === 0) {
-    if (phase < 3) return runPhase(rideRequestId, phase + 1);
+app.post("/admin/tariffs", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = parseTariffInput(req.body);
+    if (error) return res.status(400).json({ ok: false, message: error });
 
-    await prisma.rideRequest.update({
-      where: { id: rideRequestId },
-      data: { status: "FAILED", expiresAt: null },
+    const tariff = await prisma.$transaction(async (tx) => {
+      // Tek bir varsayılan tarife olabilir
+      if (data.isDefault) await tx.tariff.updateMany({ data: { isDefault: false } });
+      return tx.tariff.create({ data });
     });
-    return;
+
+    await logAdminAction(req, "TARIFF_CREATE", { targetType: "Tariff", targetId: tariff.id, payload: data });
+    res.json({ ok: true, tariff });
+  } catch (e) {
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu region için tarife zaten var." });
+    }
+    res.status(500).json({ ok: false, message: "Tariff create hata", error: String(e) });
   }
+});
 
-  // Süre bitince kontrol et
-  setTimeout(async () => {
-    try {
-      await expireOldOffers(rideRequestId);
+app.patch("/admin/tariffs/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz tariff id" });
+    }
 
-      const latest = await prisma.rideRequest.findUnique({
-        where: { id: rideRequestId },
-        select: { id: true, status: true, driverId: true },
-      });
+    const { data, error } = parseTariffInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, message: error });
 
-      if (!latest) return;
-      if (latest.driverId || ["ACCEPTED", "ARRIVING", "IN_PROGRESS", "COMPLETED", "CANCELED"].includes(latest.status)) return;
+    const tariff = await prisma.$transaction(async (tx) => {
+      const exists = await tx.tariff.findUnique({ where: { id } });
+      if (!exists) return null;
 
-      if (phase < 3) {
-        await runPhase(rideRequestId, phase + 1);
-      } else {
-        await prisma.rideRequest.update({
-          where: { id: rideRequestId },
-          data: { status: "FAILED", expiresAt: null },
-        });
+      if (data.isDefault) {
+        await tx.tariff.updateMany({ where: { id: { not: id } }, data: { isDefault: false } });
       }
-    } catch (err) {
-      console.error("phase timeout error:", err);
+      return tx.tariff.update({ where: { id }, data });
+    });
+
+    if (!tariff) return res.status(404).json({ ok: false, message: "Tariff bulunamadı" });
+
+    await logAdminAction(req, "TARIFF_UPDATE", { targetType: "Tariff", targetId: id, payload: data });
+    res.json({ ok: true, tariff });
+  } catch (e) {
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu region için tarife zaten var." });
     }
-  }, ttlSeconds * 1000);
-}
+    res.status(500).json({ ok: false, message: "Tariff update hata", error: String(e) });
+  }
+});
+
+// Silinen tarifeyi kullanan ride'lar tamamlanınca region/varsayılan tarifeye düşer
+app.delete("/admin/tariffs/:id", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz tariff id" });
+    }
+
+    const deleted = await prisma.tariff.deleteMany({ where: { id } });
+    if (deleted.count === 0) return res.status(404).json({ ok: false, message: "Tariff bulunamadı" });
+
+    await logAdminAction(req, "TARIFF_DELETE", { targetType: "Tariff", targetId: id });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Tariff delete hata", error: String(e) });
+  }
+});
 
 /* =========================
-   RIDES (CUSTOMER)
+   ADMIN: PROMO CODES
 ========================= */
 
-app.post("/rides/create", auth, async (req, res) => {
+app.get("/admin/promo-codes", adminAuth, async (req, res) => {
   try {
-    const { pickupText, pickupLat, pickupLng, dropoffText, dropoffLat, dropoffLng } = req.body;
-
-    if (!pickupText) {
-      return res.status(400).json({ ok: false, message: "pickupText gerekli." });
-    }
-
-    // Lat/Lng opsiyonel ama varsa sayı olmalı
-    const pLat = pickupLat == null ? null : Number(pickupLat);
-    const pLng = pickupLng == null ? null : Number(pickupLng);
-    if ((pLat != null && !Number.isFinite(pLat)) || (pLng != null && !Number.isFinite(pLng))) {
-      return res.status(400).json({ ok: false, message: "pickupLat/pickupLng sayı olmalı." });
-    }
+    const where = {};
+    if (req.query.active !== undefined) where.isActive = String(req.query.active) === "true";
+    if (req.query.q) where.code = { contains: String(req.query.q).trim().toUpperCase() };
 
-    const dLat = dropoffLat == null ? null : Number(dropoffLat);
-    const dLng = dropoffLng == null ? null : Number(dropoffLng);
-    if ((dLat != null && !Number.isFinite(dLat)) || (dLng != null && !Number.isFinite(dLng))) {
-      return res.status(400).json({ ok: false, message: "dropoffLat/dropoffLng sayı olmalı." });
-    }
+    const promoCodes = await prisma.promoCode.findMany({ where, orderBy: { createdAt: "desc" } });
+    res.json({ ok: true, promoCodes });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Promo code list hata", error: String(e) });
+  }
+});
 
-    const ride = await prisma.rideRequest.create({
-      data: {
-        customerId: req.userId,
-        pickupText,
-        pickupLat: pLat,
-        pickupLng: pLng,
-        dropoffText: dropoffText || null,
-        dropoffLat: dLat,
-        dropoffLng: dLng,
-        status: "SEARCHING",
-        phase: 1,
-        searchRadiusKm: 5,
-      },
-      select: {
-        id: true,
-        status: true,
-        phase: true,
-        searchRadiusKm: true,
-        expiresAt: true,
-        createdAt: true,
-      },
-    });
+app.post("/admin/promo-codes", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = parsePromoInput(req.body);
+    if (error) return res.status(400).json({ ok: false, message: error });
 
-    // Aramayı başlat (asenkron)
-    runRideSearch(ride.id).catch((err) => console.error("runRideSearch error:", err));
+    const promoCode = await prisma.promoCode.create({ data });
 
-    res.json({
-      ok: true,
-      message: "Taksi çağrısı başlatıldı.",
-      ride,
-    });
+    await logAdminAction(req, "PROMO_CREATE", { targetType: "PromoCode", targetId: promoCode.id, payload: data });
+    res.json({ ok: true, promoCode });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Ride create hata", error: String(e) });
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu kod zaten var." });
+    }
+    res.status(500).json({ ok: false, message: "Promo code create hata", error: String(e) });
   }
 });
 
-// Müşteri: ride durumunu takip
-app.get("/rides/status/:id", auth, async (req, res) => {
+// Kod kullanıldıktan sonra da düzenlenebilir; ayrılmış (RESERVED) kullanımlar yeni kurallarla tamamlanır
+app.patch("/admin/promo-codes/:id", adminAuth, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) {
-      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+      return res.status(400).json({ ok: false, message: "Geçersiz promo code id" });
     }
 
-    const ride = await prisma.rideRequest.findUnique({
-      where: { id },
-      include: {
-        driver: { select: { id: true, name: true, phone: true, availability: true, isOnline: true } },
-      },
-    });
+    const { data, error } = parsePromoInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, message: error });
 
-    if (!ride) return res.status(404).json({ ok: false, message: "Ride bulunamadı" });
-    if (ride.customerId !== req.userId) return res.status(403).json({ ok: false, message: "Bu ride sana ait değil" });
+    const existing = await prisma.promoCode.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ ok: false, message: "Promo code bulunamadı" });
 
-    res.json({ ok: true, ride });
+    const next = { ...existing, ...data };
+    if (next.type === "PERCENT" && next.value > 100) {
+      return res.status(400).json({ ok: false, message: "Yüzde indirim 100'ü geçemez." });
+    }
+    if (next.startsAt && next.endsAt && next.startsAt >= next.endsAt) {
+      return res.status(400).json({ ok: false, message: "endsAt, startsAt'ten sonra olmalı." });
+    }
+
+    const promoCode = await prisma.promoCode.update({ where: { id }, data });
+
+    await logAdminAction(req, "PROMO_UPDATE", { targetType: "PromoCode", targetId: id, payload: data });
+    res.json({ ok: true, promoCode });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Ride status hata", error: String(e) });
+    if (e?.code === "P2002") {
+      return res.status(409).json({ ok: false, message: "Bu kod zaten var." });
+    }
+    res.status(500).json({ ok: false, message: "Promo code update hata", error: String(e) });
   }
 });
 
-app.get("/rides/my", auth, async (req, res) => {
+// ?status=RESERVED|APPLIED|RELEASED
+app.get("/admin/promo-codes/:id/redemptions", adminAuth, async (req, res) => {
   try {
-    const rides = await prisma.rideRequest.findMany({
-      where: { customerId: req.userId },
-      orderBy: { createdAt: "desc" },
-      take: 50,
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz promo code id" });
+    }
+
+    const { page, pageSize, skip } = pageOf(req.query);
+    const where = { promoCodeId: id };
+    if (req.query.status) {
+      const v = String(req.query.status).toUpperCase();
+      if (!["RESERVED", "APPLIED", "RELEASED"].includes(v)) {
+        return res.status(400).json({ ok: false, message: "Geçersiz status" });
+      }
+      where.status = v;
+    }
+
+    const [total, redemptions, applied] = await Promise.all([
+      prisma.promoRedemption.count({ where }),
+      prisma.promoRedemption.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        include: {
+          user: { select: { id: true, name: true, phone: true } },
+          rideRequest: { select: { id: true, status: true, finalFare: true } },
+        },
+        skip,
+        take: pageSize,
+      }),
+      prisma.promoRedemption.aggregate({
+        where: { promoCodeId: id, status: "APPLIED" },
+        _count: true,
+        _sum: { discount: true },
+      }),
+    ]);
+
+    res.json({
+      ok: true,
+      total,
+      page,
+      pageSize,
+      applied: { count: applied._count, totalDiscount: applied._sum.discount ?? 0 },
+      redemptions,
     });
-    res.json({ ok: true, rides });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Rides my hata", error: String(e) });
+    res.status(500).json({ ok: false, message: "Promo redemptions hata", error: String(e) });
   }
 });
 
 /* =========================
-   OFFERS (DRIVER)
+   ADMIN: PAYMENTS + LEDGER
 ========================= */
 
-// Sürücüye gelen aktif çağrılar
-app.get("/drivers/offers", driverAuth, async (req, res) => {
+// ?rideId= &userId= &driverId= &type=
+app.get("/admin/ledger", adminAuth, async (req, res) => {
   try {
-    const now = new Date();
+    const { page, pageSize, skip } = pageOf(req.query);
+    const [rideId, userId, driverId] = ["rideId", "userId", "driverId"].map((k) =>
+      req.query[k] ? Number(req.query[k]) : undefined
+    );
+    if ([rideId, userId, driverId].some((v) => v !== undefined && !Number.isFinite(v))) {
+      return res.status(400).json({ ok: false, message: "rideId / userId / driverId sayı olmalı." });
+    }
 
-    await prisma.rideOffer.updateMany({
-      where: { driverId: req.driverId, status: "SENT", expiresAt: { lte: now } },
-      data: { status: "EXPIRED" },
-    });
+    const where = {};
+    if (rideId !== undefined) where.rideRequestId = rideId;
+    if (req.query.type) {
+      const v = String(req.query.type).toUpperCase();
+      if (!LEDGER_TRANSACTION_TYPES.has(v)) return res.status(400).json({ ok: false, message: "Geçersiz type" });
+      where.type = v;
+    }
+    // İkisi birlikte verilirse hem müşteriye hem sürücüye satırı olan kayıtlar (ör. nakit tahsilat)
+    const entryFilters = [];
+    if (userId !== undefined) entryFilters.push({ entries: { some: { userId } } });
+    if (driverId !== undefined) entryFilters.push({ entries: { some: { driverId } } });
+    if (entryFilters.length > 0) where.AND = entryFilters;
+
+    const [total, transactions] = await Promise.all([
+      prisma.ledgerTransaction.count({ where }),
+      prisma.ledgerTransaction.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        include: { entries: true, admin: { select: { id: true, name: true, email: true } } },
+        skip,
+        take: pageSize,
+      }),
+    ]);
+
+    res.json({ ok: true, total, page, pageSize, transactions });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ledger hata", error: String(e) });
+  }
+});
 
-    const offers = await prisma.rideOffer.findMany({
-      where: {
-        driverId: req.driverId,
-        status: "SENT",
-        expiresAt: { gt: now },
-      },
-      orderBy: { sentAt: "desc" },
-      include: {
-        rideRequest: {
-          select: {
-            id: true,
-            pickupText: true,
-            dropoffText: true,
-            status: true,
-            phase: true,
-            searchRadiusKm: true,
-            expiresAt: true,
-            createdAt: true,
-          },
-        },
+// Bakiyeler: ?userId= (müşteri borcu + cüzdan) veya ?driverId= (sürücü cari); parametresiz platform + sağlayıcı.
+// Pozitif: hesap borçlu, negatif: hesap alacaklı.
+app.get("/admin/ledger/balances", adminAuth, async (req, res) => {
+  try {
+    if (req.query.userId) {
+      const userId = Number(req.query.userId);
+      if (!Number.isFinite(userId)) return res.status(400).json({ ok: false, message: "userId sayı olmalı." });
+      const [customer, wallet] = await Promise.all([
+        accountBalance(prisma, account.customer(userId)),
+        accountBalance(prisma, account.wallet(userId)),
+      ]);
+      return res.json({ ok: true, balances: { customer, wallet } });
+    }
+
+    if (req.query.driverId) {
+      const driverId = Number(req.query.driverId);
+      if (!Number.isFinite(driverId)) return res.status(400).json({ ok: false, message: "driverId sayı olmalı." });
+      const driver = await accountBalance(prisma, account.driver(driverId));
+      return res.json({ ok: true, balances: { driver } });
+    }
+
+    const [platform, provider] = await Promise.all([
+      accountBalance(prisma, account.platform()),
+      accountBalance(prisma, account.provider()),
+    ]);
+    res.json({ ok: true, balances: { platform, provider } });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ledger balances hata", error: String(e) });
+  }
+});
+
+// İade: kartla ödendiyse karta, değilse müşterinin cüzdanına. Varsayılan olarak platform karşılar;
+// chargeDriver=true ise sürücünün carisinden düşülür.
+app.post("/admin/rides/:id/refund", adminAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, message: "Geçersiz ride id" });
+    }
+
+    const amount = roundMoney(Number(req.body?.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ ok: false, message: "amount pozitif sayı olmalı." });
+    }
+    const reason = (req.body?.reason ?? "").toString().trim();
+    if (!reason) return res.status(400).json({ ok: false, message: "reason gerekli." });
+    const chargeDriver = Boolean(req.body?.chargeDriver);
+
+    // Kontrol, sağlayıcı iadesi ve kayıt aynı ride kilidi altında: eşzamanlı iki iade ödenenden fazlasını vermez.
+    // Sağlayıcıya giden referans iade sırasından türetilir; kayıt yazılamazsa tekrar denemede aynı referans gider.
+    const result = await prisma.$transaction(
+      async (tx) => {
+        await lockRide(tx, id);
+
+        const ride = await tx.rideRequest.findUnique({ where: { id } });
+        if (!ride) return { ok: false, code: 404, message: "Ride bulunamadı" };
+        if (ride.paymentStatus !== "PAID") {
+          return { ok: false, code: 409, message: "Sadece ödenmiş ride iade edilebilir." };
+        }
+        if (chargeDriver && !ride.driverId) return { ok: false, code: 400, message: "Ride'ın sürücüsü yok." };
+
+        const payment = await tx.ledgerTransaction.findUnique({
+          where: { idempotencyKey: `ride:${id}:payment` },
+          include: { entries: true },
+        });
+        const paid = payment ? payment.entries.filter((e) => e.amount > 0).reduce((acc, e) => acc + e.amount, 0) : 0;
+        const refunded = await tx.ledgerEntry.aggregate({
+          where: { amount: { lt: 0 }, transaction: { rideRequestId: id, type: "REFUND" } },
+          _sum: { amount: true },
+        });
+        const refundable = roundMoney(paid + (refunded._sum.amount ?? 0));
+        if (amount > refundable) return { ok: false, code: 400, message: `En fazla ${refundable} iade edilebilir.` };
+
+        const refundCount = await tx.ledgerTransaction.count({ where: { rideRequestId: id, type: "REFUND" } });
+        const idempotencyKey = `ride:${id}:refund:${refundCount + 1}`;
+
+        const toCard = payment?.paymentMethod === "CARD";
+        let providerRef = null;
+        if (toCard) {
+          const refund = await paymentProvider().refund({
+            providerRef: payment.providerRef,
+            amount,
+            currency: rideCurrency(ride),
+            reference: idempotencyKey,
+          });
+          if (!refund.ok) {
+            return { ok: false, code: refund.unavailable ? 503 : 502, message: refund.error || "İade yapılamadı." };
+          }
+          providerRef = refund.providerRef;
+        }
+
+        const transaction = await postLedgerTransaction(tx, {
+          type: "REFUND",
+          rideRequestId: id,
+          paymentMethod: toCard ? "CARD" : "WALLET",
+          currency: rideCurrency(ride),
+          providerRef,
+          adminId: req.adminId,
+          description: reason,
+          idempotencyKey,
+          entries: [
+            chargeDriver
+              ? { ...account.driver(ride.driverId), amount }
+              : { ...account.platform(), amount },
+            toCard
+              ? { ...account.provider(), amount: -amount }
+              : { ...account.wallet(ride.customerId), amount: -amount },
+          ],
+        });
+        return { ok: true, transaction };
       },
-      take: 20,
-    });
+      { timeout: 20000 }
+    );
 
-    res.json({ ok: true, offers });
+    if (!result.ok) return res.status(result.code).json({ ok: false, message: result.message });
+    const { transaction } = result;
+
+    await logAdminAction(req, "RIDE_REFUND", {
+      targetType: "RideRequest",
+      targetId: id,
+      payload: { amount, reason, chargeDriver, transactionId: transaction.id },
+    });
+    res.json({ ok: true, transaction });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Offers hata", error: String(e) });
+    res.status(500).json({ ok: false, message: "Refund hata", error: String(e) });
   }
 });
 
-// Sürücü çağrıyı kabul et
-app.post("/drivers/offers/:offerId/accept", driverAuth, async (req, res) => {
+// Düzeltme: hesap lehine (amount > 0) veya aleyhine (amount < 0) kayıt; karşı taraf platform.
+// ör. sürücüye prim { accountType: "DRIVER", driverId, amount: 100 }
+app.post("/admin/ledger/adjustments", adminAuth, async (req, res) => {
   try {
-    const offerId = Number(req.params.offerId);
-    if (!Number.isFinite(offerId)) {
-      return res.status(400).json({ ok: false, message: "offerId geçersiz" });
+    const b = req.body || {};
+    const accountType = String(b.accountType || "").toUpperCase();
+    if (!LEDGER_ACCOUNT_TYPES.has(accountType) || ["PLATFORM", "PROVIDER"].includes(accountType)) {
+      return res.status(400).json({ ok: false, message: "accountType CUSTOMER, WALLET veya DRIVER olmalı." });
     }
 
-    const now = new Date();
+    const ownerKey = accountType === "DRIVER" ? "driverId" : "userId";
+    const ownerId = Number(b[ownerKey]);
+    if (!Number.isInteger(ownerId)) return res.status(400).json({ ok: false, message: `${ownerKey} gerekli.` });
 
-    const result = await prisma.$transaction(async (tx) => {
-      const offer = await tx.rideOffer.findFirst({
-        where: { id: offerId, driverId: req.driverId },
-        include: { rideRequest: true },
-      });
+    const amount = roundMoney(Number(b.amount));
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({ ok: false, message: "amount sıfırdan farklı sayı olmalı." });
+    }
+    const reason = (b.reason ?? "").toString().trim();
+    if (!reason) return res.status(400).json({ ok: false, message: "reason gerekli." });
 
-      if (!offer) return { ok: false, code: 404, message: "Offer bulunamadı" };
+    let rideRequestId = null;
+    if (b.rideId != null) {
+      rideRequestId = Number(b.rideId);
+      if (!Number.isFinite(rideRequestId)) return res.status(400).json({ ok: false, message: "rideId sayı olmalı." });
+    }
 
-      if (offer.status !== "SENT") return { ok: false, code: 409, message: "Offer artık geçerli değil." };
-      if (offer.expiresAt <= now) {
-        await tx.rideOffer.update({ where: { id: offerId }, data: { status: "EXPIRED" } });
-        return { ok: false, code: 409, message: "Offer süresi dolmuş." };
-      }
+    const owner =
+      accountType === "DRIVER"
+        ? await prisma.driver.findUnique({ where: { id: ownerId }, select: { id: true } })
+        : await prisma.user.findUnique({ where: { id: ownerId }, select: { id: true } });
+    if (!owner) return res.status(404).json({ ok: false, message: "Hesap sahibi bulunamadı" });
 
-      const ride = await tx.rideRequest.findUnique({ where: { id: offer.rideRequestId } });
-      if (!ride) return { ok: false, code: 404, message: "Ride yok" };
+    const transaction = await postLedgerTransaction(prisma, {
+      type: "ADJUSTMENT",
+      rideRequestId,
+      adminId: req.adminId,
+      description: reason,
+      entries: [
+        { accountType, [ownerKey]: ownerId, amount: -amount },
+        { ...account.platform(), amount },
+      ],
+    });
 
-      if (ride.driverId) return { ok: false, code: 409, message: "Çağrı zaten alınmış." };
-      if (["FAILED", "CANCELED", "COMPLETED"].includes(ride.status)) {
-        return { ok: false, code: 409, message: "Çağrı artık geçerli değil." };
-      }
+    await logAdminAction(req, "LEDGER_ADJUSTMENT", {
+      targetType: accountType === "DRIVER" ? "Driver" : "User",
+      targetId: ownerId,
+      payload: { accountType, amount, reason, rideRequestId, transactionId: transaction.id },
+    });
+    res.json({ ok: true, transaction });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Ledger adjustment hata", error: String(e) });
+  }
+});
 
-      // Ride'ı ata
-      await tx.rideRequest.update({
-        where: { id: ride.id },
-        data: { driverId: req.driverId, status: "ACCEPTED", expiresAt: null },
-      });
+/* =========================
+   ADMIN: ANALYTICS
+========================= */
 
-      // Bu offer ACCEPTED
-      await tx.rideOffer.update({
-        where: { id: offerId },
-        data: { status: "ACCEPTED", acceptedAt: now },
-      });
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const HEATMAP_MAX_CELLS = 5000;
 
-      // Diğer SENT offer'ları EXPIRED yap
-      await tx.rideOffer.updateMany({
-        where: { rideRequestId: ride.id, status: "SENT" },
-        data: { status: "EXPIRED" },
-      });
+// Ortak filtre: ?from=&to= (ride createdAt) &region=
+function parseAnalyticsQuery(query) {
+  const range = parseDateRange(query, { defaultDays: ANALYTICS_DEFAULT_DAYS, maxDays: ANALYTICS_MAX_DAYS });
+  if (range.error) return range;
+  return { ...range, region: query.region ? normRegion(query.region) : null };
+}
 
-      // Sürücüyü BUSY yap (meşgul)
-      await tx.driver.update({
-        where: { id: req.driverId },
-        data: { availability: "BUSY", isOnline: true },
-      });
+function analyticsWhere({ from, to, region }) {
+  return Prisma.sql`
+    r."createdAt" >= ${from} AND r."createdAt" < ${to}
+    AND (${region}::text IS NULL OR r."region" = ${region}::text)
+  `;
+}
 
-      const updatedRide = await tx.rideRequest.findUnique({
-        where: { id: ride.id },
-        include: { customer: { select: { id: true, name: true, phone: true } } },
-      });
+const rateOf = (n, total) => (total > 0 ? Math.round((n / total) * 10000) / 10000 : null);
+const roundSeconds = (v) => (v == null ? null : Math.round(v));
 
-      return { ok: true, code: 200, ride: updatedRide };
+// Faz hunisi: her faza kaç çağrı ulaştı, kaçı o fazda kabul edildi / son fazda FAILED oldu;
+// teklif kabul / red / zaman aşımı oranları ve kabul süresi medyanları.
+// timeToAccept: ilk teklifin gidişinden kabule kadar (çağrı bazında),
+// driverResponse: teklifin gidişinden sürücünün kabulüne kadar (teklif bazında).
+app.get("/admin/analytics/dispatch-funnel", adminAuth, async (req, res) => {
+  try {
+    const q = parseAnalyticsQuery(req.query);
+    if (q.error) return res.status(400).json({ ok: false, message: q.error });
+    const where = analyticsWhere(q);
+
+    const [statusRows, reachRows, offerRows, acceptRows, rejectRows] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT r."status"::text AS "status", COUNT(*)::int AS "count"
+        FROM "RideRequest" r
+        WHERE ${where}
+        GROUP BY r."status"
+      `,
+      prisma.$queryRaw`
+        SELECT r."phase", COUNT(*)::int AS "rides",
+          COUNT(*) FILTER (WHERE r."status" = 'FAILED')::int AS "failed"
+        FROM "RideRequest" r
+        WHERE ${where} AND r."status" NOT IN ('OPEN', 'SCHEDULED')
+        GROUP BY r."phase"
+      `,
+      prisma.$queryRaw`
+        SELECT o."phase",
+          COUNT(*)::int AS "sent",
+          COUNT(*) FILTER (WHERE o."status" = 'ACCEPTED')::int AS "accepted",
+          COUNT(*) FILTER (WHERE o."status" = 'REJECTED')::int AS "rejected",
+          COUNT(*) FILTER (WHERE o."status" = 'EXPIRED')::int AS "expired",
+          (PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (o."acceptedAt" - o."sentAt")))
+            FILTER (WHERE o."status" = 'ACCEPTED'))::float8 AS "medianResponseSeconds",
+          GROUPING(o."phase")::int AS "isTotal"
+        FROM "RideOffer" o
+        JOIN "RideRequest" r ON r."id" = o."rideRequestId"
+        WHERE ${where}
+        GROUP BY GROUPING SETS ((o."phase"), ())
+      `,
+      prisma.$queryRaw`
+        SELECT o."phase", COUNT(*)::int AS "rides",
+          (PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (o."acceptedAt" - f."firstSentAt"))))::float8
+            AS "medianSeconds",
+          GROUPING(o."phase")::int AS "isTotal"
+        FROM "RideOffer" o
+        JOIN "RideRequest" r ON r."id" = o."rideRequestId"
+        JOIN LATERAL (
+          SELECT MIN(x."sentAt") AS "firstSentAt" FROM "RideOffer" x WHERE x."rideRequestId" = o."rideRequestId"
+        ) f ON true
+        WHERE ${where} AND o."status" = 'ACCEPTED'
+        GROUP BY GROUPING SETS ((o."phase"), ())
+      `,
+      prisma.$queryRaw`
+        SELECT COALESCE(o."rejectReason", 'UNKNOWN') AS "reason", COUNT(*)::int AS "count"
+        FROM "RideOffer" o
+        JOIN "RideRequest" r ON r."id" = o."rideRequestId"
+        WHERE ${where} AND o."status" = 'REJECTED'
+        GROUP BY 1
+        ORDER BY 2 DESC
+      `,
+    ]);
+
+    const offerStats = (row) => ({
+      sent: row?.sent ?? 0,
+      accepted: row?.accepted ?? 0,
+      rejected: row?.rejected ?? 0,
+      expired: row?.expired ?? 0,
+      acceptRate: rateOf(row?.accepted ?? 0, row?.sent ?? 0),
+      rejectRate: rateOf(row?.rejected ?? 0, row?.sent ?? 0),
+      expiryRate: rateOf(row?.expired ?? 0, row?.sent ?? 0),
+      medianDriverResponseSeconds: roundSeconds(row?.medianResponseSeconds),
     });
 
-    if (!result.ok) {
-      return res.status(result.code).json({ ok: false, message: result.message });
-    }
+    // phase null: admin'in elle gönderdiği teklifler
+    const byPhase = (rows) => new Map(rows.filter((r) => !r.isTotal).map((r) => [r.phase, r]));
+    const offersByPhase = byPhase(offerRows);
+    const acceptsByPhase = byPhase(acceptRows);
+    const reachByPhase = new Map(reachRows.map((r) => [r.phase, r]));
+
+    const phaseNumbers = [...new Set([...reachByPhase.keys(), ...offersByPhase.keys(), ...acceptsByPhase.keys()])]
+      .filter((p) => p != null)
+      .sort((a, b) => a - b);
+
+    const phases = phaseNumbers.map((phase) => {
+      // Çağrının son fazı >= phase ise o faza ulaşmıştır
+      const reached = reachRows.filter((r) => r.phase >= phase).reduce((acc, r) => acc + r.rides, 0);
+      const accepted = acceptsByPhase.get(phase)?.rides ?? 0;
+      return {
+        phase,
+        ridesReached: reached,
+        ridesAccepted: accepted,
+        ridesFailed: reachByPhase.get(phase)?.failed ?? 0,
+        conversionRate: rateOf(accepted, reached),
+        medianSecondsToAccept: roundSeconds(acceptsByPhase.get(phase)?.medianSeconds),
+        offers: offerStats(offersByPhase.get(phase)),
+      };
+    });
 
-    res.json({ ok: true, ride: result.ride });
+    const statusCounts = Object.fromEntries(statusRows.map((r) => [r.status, r.count]));
+    const searched = reachRows.reduce((acc, r) => acc + r.rides, 0);
+    const failed = statusCounts.FAILED ?? 0;
+    const totalAccepts = acceptRows.find((r) => r.isTotal);
+
+    res.json({
+      ok: true,
+      from: q.from,
+      to: q.to,
+      region: q.region,
+      statusCounts,
+      summary: {
+        ridesSearched: searched,
+        ridesFailed: failed,
+        failureRate: rateOf(failed, searched),
+        ridesAccepted: totalAccepts?.rides ?? 0,
+        medianSecondsToAccept: roundSeconds(totalAccepts?.medianSeconds),
+        offers: offerStats(offerRows.find((r) => r.isTotal)),
+      },
+      phases,
+      manualOffers: offersByPhase.has(null) ? offerStats(offersByPhase.get(null)) : null,
+      rejectReasons: Object.fromEntries(rejectRows.map((r) => [r.reason, r.count])),
+    });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Offer accept hata", error: String(e) });
+    res.status(500).json({ ok: false, message: "Dispatch funnel hata", error: String(e) });
   }
 });
 
-/* =========================
-   RIDES (DRIVER)
-========================= */
-
-// Sürücü: kendi aldığı ride'lar
-app.get("/rides/driver/my", driverAuth, async (req, res) => {
+// Yerel saate göre (FARE_TIMEZONE) çağrı ve FAILED sayıları; ileri tarihli çağrılarda alış saati esas
+app.get("/admin/analytics/failures-by-hour", adminAuth, async (req, res) => {
   try {
-    const rides = await prisma.rideRequest.findMany({
-      where: { driverId: req.driverId },
-      orderBy: { createdAt: "desc" },
-      take: 50,
+    const q = parseAnalyticsQuery(req.query);
+    if (q.error) return res.status(400).json({ ok: false, message: q.error });
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        EXTRACT(HOUR FROM (
+          COALESCE(r."scheduledAt", r."createdAt") AT TIME ZONE 'UTC' AT TIME ZONE ${FARE_TIMEZONE}
+        ))::int AS "hour",
+        COUNT(*)::int AS "rides",
+        COUNT(*) FILTER (WHERE r."status" = 'FAILED')::int AS "failed"
+      FROM "RideRequest" r
+      WHERE ${analyticsWhere(q)} AND r."status" NOT IN ('OPEN', 'SCHEDULED')
+      GROUP BY 1
+    `;
+
+    const byHour = new Map(rows.map((r) => [r.hour, r]));
+    const hours = Array.from({ length: 24 }, (_, hour) => {
+      const r = byHour.get(hour);
+      const rides = r?.rides ?? 0;
+      const failed = r?.failed ?? 0;
+      return { hour, rides, failed, failureRate: rateOf(failed, rides) };
     });
-    res.json({ ok: true, rides });
+
+    res.json({ ok: true, from: q.from, to: q.to, region: q.region, timezone: FARE_TIMEZONE, hours });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Driver rides my hata", error: String(e) });
+    res.status(500).json({ ok: false, message: "Failures by hour hata", error: String(e) });
   }
 });
 
-// Sürücü: ride status güncelle
-app.post("/rides/status", driverAuth, async (req, res) => {
+// Alış noktası ısı haritası: ?cell=0.01 (derece, ~1 km) &minCount=1.
+// fulfilled: sürücü kabul etti, failed: sürücü bulunamadı, canceledBeforeAccept: müşteri vazgeçti.
+app.get("/admin/analytics/pickup-heatmap", adminAuth, async (req, res) => {
   try {
-    const { rideId, status } = req.body;
-    if (!rideId || !status) {
-      return res.status(400).json({ ok: false, message: "rideId ve status gerekli." });
-    }
+    const q = parseAnalyticsQuery(req.query);
+    if (q.error) return res.status(400).json({ ok: false, message: q.error });
 
-    if (!ALLOWED_RIDE_STATUS.has(String(status))) {
-      return res.status(400).json({
-        ok: false,
-        message: "Geçersiz status.",
-      });
+    const cell = req.query.cell === undefined ? 0.01 : Number(req.query.cell);
+    if (!Number.isFinite(cell) || cell < 0.001 || cell > 1) {
+      return res.status(400).json({ ok: false, message: "cell 0.001-1 derece arası olmalı." });
     }
-
-    const id = Number(rideId);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({ ok: false, message: "rideId sayı olmalı." });
+    const minCount = req.query.minCount === undefined ? 1 : Number(req.query.minCount);
+    if (!Number.isInteger(minCount) || minCount < 1) {
+      return res.status(400).json({ ok: false, message: "minCount pozitif tam sayı olmalı." });
     }
 
-    const updated = await prisma.rideRequest.updateMany({
-      where: { id, driverId: req.driverId },
-      data: { status: String(status) },
-    });
-
-    if (updated.count === 0) {
-      return res.status(403).json({ ok: false, message: "Bu ride sana ait değil veya bulunamadı." });
-    }
+    const rows = await prisma.$queryRaw`
+      SELECT
+        FLOOR(r."pickupLat" / ${cell}::double precision)::int AS "y",
+        FLOOR(r."pickupLng" / ${cell}::double precision)::int AS "x",
+        COUNT(*)::int AS "total",
+        COUNT(*) FILTER (WHERE r."acceptedAt" IS NOT NULL)::int AS "fulfilled",
+        COUNT(*) FILTER (WHERE r."status" = 'FAILED')::int AS "failed",
+        COUNT(*) FILTER (WHERE r."status" = 'CANCELED' AND r."acceptedAt" IS NULL)::int AS "canceledBeforeAccept"
+      FROM "RideRequest" r
+      WHERE ${analyticsWhere(q)}
+        AND r."status" NOT IN ('OPEN', 'SCHEDULED')
+        AND r."pickupLat" IS NOT NULL AND r."pickupLng" IS NOT NULL
+      GROUP BY 1, 2
+      HAVING COUNT(*) >= ${minCount}::int
+      ORDER BY "total" DESC
+      LIMIT ${HEATMAP_MAX_CELLS}::int
+    `;
+
+    const coord = (n) => Math.round(n * 1e6) / 1e6;
+    const cells = rows.map(({ x, y, ...counts }) => ({
+      lat: coord((y + 0.5) * cell),
+      lng: coord((x + 0.5) * cell),
+      bounds: [coord(y * cell), coord(x * cell), coord((y + 1) * cell), coord((x + 1) * cell)],
+      ...counts,
+      failureRate: rateOf(counts.failed, counts.total),
+    }));
 
-    const ride = await prisma.rideRequest.findUnique({ where: { id } });
-    res.json({ ok: true, ride });
+    res.json({
+      ok: true,
+      from: q.from,
+      to: q.to,
+      region: q.region,
+      cell,
+      truncated: rows.length === HEATMAP_MAX_CELLS,
+      cells,
+    });
   } catch (e) {
-    res.status(500).json({ ok: false, message: "Status update hata", error: String(e) });
+    res.status(500).json({ ok: false, message: "Pickup heatmap hata", error: String(e) });
   }
 });
 
@@ -814,12 +5408,17 @@ app.use((err, req, res, next) => {
 ========================= */
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Backend running on port ${PORT}`);
+
+  recoverRideSearches()
+    .catch((err) => console.error("recoverRideSearches error:", err))
+    .finally(() => scheduler.start());
 });
 
 // Render restart/shutdown sırasında Prisma'yı temiz kapat
 async function shutdown(signal) {
   try {
     console.log(`🔻 ${signal} received, shutting down...`);
+    scheduler.stop();
     await prisma.$disconnect();
   } catch (e) {
     console.error("Shutdown error:", e);
@@ -0,0 +1,154 @@
+// Dispatch politikası: faz tablosu (yarıçap + süre) ve politikanın hangi ride'a uygulanacağı.
+import { distanceKm } from "./geo.js";
+
+// DB'de hiç politika yoksa kullanılan varsayılan: 1) 5km 15sn, 2) 5km 7sn, 3) 10km 12sn, yoksa FAILED
+export const DEFAULT_DISPATCH_PHASES = [
+  { radiusKm: 5, ttlSeconds: 15 },
+  { radiusKm: 5, ttlSeconds: 7 },
+  { radiusKm: 10, ttlSeconds: 12 },
+];
+
+const MAX_PHASES = 10;
+
+export const DISPATCH_MODES = ["BROADCAST", "RANKED"];
+
+// RANKED mod varsayılanları: önce en iyi 1 sürücü, sonra 3'er sürücü; her dalga 5 sn
+export const DEFAULT_WAVE_SIZES = [1, 3];
+export const DEFAULT_WAVE_TTL_SECONDS = 5;
+
+export function normRegion(v) {
+  const s = (v ?? "").toString().trim().toLowerCase();
+  return s || null;
+}
+
+// [{ radiusKm, ttlSeconds }] doğrular; hata varsa { error } döner
+export function parsePhases(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_PHASES) {
+    return { error: `phases 1-${MAX_PHASES} elemanlı bir dizi olmalı.` };
+  }
+
+  const phases = [];
+  for (const [i, p] of input.entries()) {
+    const radiusKm = Number(p?.radiusKm);
+    const ttlSeconds = Number(p?.ttlSeconds);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 100) {
+      return { error: `phases[${i}].radiusKm 0-100 arası olmalı.` };
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 3 || ttlSeconds > 300) {
+      return { error: `phases[${i}].ttlSeconds 3-300 arası tam sayı olmalı.` };
+    }
+    phases.push({ radiusKm, ttlSeconds });
+  }
+  return { phases };
+}
+
+// RANKED'de dalga fazdan kısa olmalı; yoksa ilk dalga fazın tamamını kaplar, kalan adaylara hiç teklif gitmez.
+// dispatchMode null ise mod ortam değişkeninden gelir (RANKED olabilir), o yüzden kontrol edilir.
+// waveTtlSeconds null ise varsayılan kullanılır. Hata varsa mesaj, yoksa null.
+export function waveTtlError({ phases, dispatchMode = null, waveTtlSeconds = null }) {
+  if (dispatchMode === "BROADCAST") return null;
+  const waveTtl = waveTtlSeconds ?? DEFAULT_WAVE_TTL_SECONDS;
+  const i = phases.findIndex((p) => p.ttlSeconds <= waveTtl);
+  if (i === -1) return null;
+  return `waveTtlSeconds (${waveTtl}) her fazın ttlSeconds değerinden küçük olmalı (phases[${i}]).`;
+}
+
+// Admin API body'sini doğrular. partial=true ise sadece gönderilen alanlar kontrol edilir (PATCH).
+export function parsePolicyInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const data = {};
+
+  if (!partial || b.name !== undefined) {
+    const name = (b.name ?? "").toString().trim();
+    if (!name) return { error: "name gerekli." };
+    data.name = name;
+  }
+
+  if (!partial || b.phases !== undefined) {
+    const { phases, error } = parsePhases(b.phases);
+    if (error) return { error };
+    data.phases = phases;
+  }
+
+  if (b.region !== undefined) data.region = normRegion(b.region);
+
+  if (b.dispatchMode !== undefined) {
+    const mode = String(b.dispatchMode).toUpperCase();
+    if (!DISPATCH_MODES.includes(mode)) return { error: "dispatchMode BROADCAST/RANKED olmalı." };
+    data.dispatchMode = mode;
+  }
+
+  if (b.waveSizes !== undefined) {
+    if (b.waveSizes === null) {
+      data.waveSizes = null;
+    } else {
+      const sizes = Array.isArray(b.waveSizes) ? b.waveSizes.map(Number) : [];
+      if (sizes.length === 0 || sizes.length > 10 || !sizes.every((n) => Number.isInteger(n) && n >= 1 && n <= 20)) {
+        return { error: "waveSizes 1-20 arası tam sayılardan oluşan bir dizi olmalı." };
+      }
+      data.waveSizes = sizes;
+    }
+  }
+
+  if (b.waveTtlSeconds !== undefined) {
+    if (b.waveTtlSeconds === null) {
+      data.waveTtlSeconds = null;
+    } else {
+      const n = Number(b.waveTtlSeconds);
+      if (!Number.isInteger(n) || n < 3 || n > 120) {
+        return { error: "waveTtlSeconds 3-120 arası tam sayı olmalı." };
+      }
+      data.waveTtlSeconds = n;
+    }
+  }
+
+  for (const key of ["centerLat", "centerLng", "areaRadiusKm"]) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(b[key]);
+    if (!Number.isFinite(n)) return { error: `${key} sayı olmalı.` };
+    data[key] = n;
+  }
+
+  if (b.priority !== undefined) {
+    const n = Number(b.priority);
+    if (!Number.isInteger(n)) return { error: "priority tam sayı olmalı." };
+    data.priority = n;
+  }
+
+  if (b.isDefault !== undefined) data.isDefault = Boolean(b.isDefault);
+  if (b.isActive !== undefined) data.isActive = Boolean(b.isActive);
+
+  // PATCH'te mevcut kayıtla birleştirilip server.js'de kontrol edilir
+  if (!partial) {
+    const error = waveTtlError(data);
+    if (error) return { error };
+  }
+
+  return { data };
+}
+
+// Ride için politika seçimi: 1) region eşleşmesi, 2) pickup'ı kapsayan alan
+// (priority yüksek, alan küçük olan önce), 3) isDefault. Hiçbiri yoksa null.
+export function pickPolicy(policies, { region, pickupLat, pickupLng }) {
+  const active = policies.filter((p) => p.isActive);
+  const r = normRegion(region);
+
+  if (r) {
+    const byRegion = active.find((p) => p.region === r);
+    if (byRegion) return byRegion;
+  }
+
+  if (pickupLat != null && pickupLng != null) {
+    const covering = active
+      .filter((p) => p.centerLat != null && p.centerLng != null && p.areaRadiusKm != null)
+      .filter((p) => distanceKm(p.centerLat, p.centerLng, pickupLat, pickupLng) <= p.areaRadiusKm)
+      .sort((a, b) => b.priority - a.priority || a.areaRadiusKm - b.areaRadiusKm);
+    if (covering.length > 0) return covering[0];
+  }
+
+  return active.find((p) => p.isDefault) || null;
+}
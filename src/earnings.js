@@ -0,0 +1,161 @@
+// Sürücü kazanç / aktivite raporu: tamamlanan yolculuklar ve online / meşgul süreleri
+// gün, hafta (Pazartesi başlangıçlı) veya ay bazında toplanır. Dönem sınırları FARE_TIMEZONE'a göre.
+import { FARE_TIMEZONE, roundMoney } from "./fare.js";
+
+export const REPORT_PERIODS = new Set(["day", "week", "month"]);
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function localDate(at, tz) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(at);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return { year: get("year"), month: get("month"), day: get("day") };
+}
+
+// Verilen anda saat diliminin UTC farkı (ms), ör. Europe/Istanbul için +3 saat
+function tzOffsetMs(at, tz) {
+  const name = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "longOffset" })
+    .formatToParts(at)
+    .find((p) => p.type === "timeZoneName")?.value;
+  const m = /GMT([+-])(\d{2}):(\d{2})/.exec(name || "");
+  if (!m) return 0;
+  return (m[1] === "+" ? 1 : -1) * (Number(m[2]) * 60 + Number(m[3])) * 60000;
+}
+
+// Yerel takvim gününün başlangıcı (UTC an)
+function localMidnight({ year, month, day }, tz) {
+  const utc = Date.UTC(year, month - 1, day);
+  return new Date(utc - tzOffsetMs(new Date(utc), tz));
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// at'in düştüğü dönem: { key, start, end }
+export function periodOf(at, period, tz = FARE_TIMEZONE) {
+  const d = localDate(at, tz);
+
+  if (period === "month") {
+    const next = d.month === 12 ? { year: d.year + 1, month: 1 } : { year: d.year, month: d.month + 1 };
+    return {
+      key: `${d.year}-${pad(d.month)}`,
+      start: localMidnight({ ...d, day: 1 }, tz),
+      end: localMidnight({ ...next, day: 1 }, tz),
+    };
+  }
+
+  // Takvim günü üzerinden ilerle (UTC tarih aritmetiği yaz saatinden etkilenmez)
+  const base = new Date(Date.UTC(d.year, d.month - 1, d.day));
+  if (period === "week") base.setUTCDate(base.getUTCDate() - ((base.getUTCDay() + 6) % 7));
+  const span = period === "week" ? 7 : 1;
+  const endDay = new Date(base.getTime() + span * DAY_MS);
+
+  const toLocal = (x) => ({ year: x.getUTCFullYear(), month: x.getUTCMonth() + 1, day: x.getUTCDate() });
+  return {
+    key: `${base.getUTCFullYear()}-${pad(base.getUTCMonth() + 1)}-${pad(base.getUTCDate())}`,
+    start: localMidnight(toLocal(base), tz),
+    end: localMidnight(toLocal(endDay), tz),
+  };
+}
+
+function emptyRow(key) {
+  return {
+    period: key,
+    rides: 0,
+    distanceKm: 0,
+    grossFare: 0,
+    commission: 0,
+    netEarnings: 0,
+    cashCollected: 0,
+    onlineHours: 0,
+    busyHours: 0,
+  };
+}
+
+// rides: [{ completedAt, distanceKm, grossFare, netEarnings, cashCollected }]
+// availability: zamana göre sıralı [{ at, availability }]; initial: from anındaki durum.
+// onlineHours ONLINE + BUSY (çağrı alabilir ya da yolculukta), busyHours sadece BUSY.
+export function buildEarningsReport({ rides, availability, initial = "OFFLINE", from, to, period, tz = FARE_TIMEZONE }) {
+  const rows = new Map();
+  const rowOf = (at) => {
+    const p = periodOf(at, period, tz);
+    if (!rows.has(p.key)) rows.set(p.key, { ...emptyRow(p.key), _end: p.end });
+    return rows.get(p.key);
+  };
+
+  for (const r of rides) {
+    const row = rowOf(r.completedAt);
+    row.rides += 1;
+    row.distanceKm += r.distanceKm;
+    row.grossFare += r.grossFare;
+    row.netEarnings += r.netEarnings;
+    row.commission += r.grossFare - r.netEarnings;
+    row.cashCollected += r.cashCollected;
+  }
+
+  // Durum aralıklarını dönem sınırlarında bölerek topla
+  let state = initial;
+  let cursor = from;
+  const addInterval = (until) => {
+    while (cursor < until) {
+      const row = rowOf(cursor);
+      const sliceEnd = new Date(Math.min(until.getTime(), row._end.getTime()));
+      const hours = (sliceEnd - cursor) / 3600000;
+      if (state === "ONLINE" || state === "BUSY") row.onlineHours += hours;
+      if (state === "BUSY") row.busyHours += hours;
+      cursor = sliceEnd;
+    }
+  };
+  for (const change of availability) {
+    addInterval(new Date(Math.min(change.at.getTime(), to.getTime())));
+    state = change.availability;
+  }
+  addInterval(to);
+
+  const round = (row) => {
+    const { _end, ...out } = row;
+    for (const k of EARNINGS_CSV_COLUMNS.slice(2)) out[k] = roundMoney(out[k]);
+    return out;
+  };
+
+  const list = [...rows.values()].sort((a, b) => a.period.localeCompare(b.period)).map(round);
+  const totals = round(
+    list.reduce(
+      (acc, r) => {
+        for (const k of Object.keys(acc)) if (k !== "period") acc[k] += r[k];
+        return acc;
+      },
+      emptyRow("total")
+    )
+  );
+
+  return { rows: list, totals };
+}
+
+// RFC 4180: virgül, tırnak veya satır sonu içeren alanlar tırnaklanır
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const EARNINGS_CSV_COLUMNS = [
+  "period",
+  "rides",
+  "distanceKm",
+  "grossFare",
+  "commission",
+  "netEarnings",
+  "cashCollected",
+  "onlineHours",
+  "busyHours",
+];
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,152 @@
+// Ücret hesabı: açılış + km + bekleme, gece/bayram çarpanı, minimum ücret.
+import { normRegion } from "./dispatch-policy.js";
+
+// Gece saati ve bayram günü bu saat dilimine göre belirlenir
+export const FARE_TIMEZONE = process.env.FARE_TIMEZONE || "Europe/Istanbul";
+
+// DB'de tarife yoksa kullanılan varsayılan
+export const DEFAULT_TARIFF = {
+  id: null,
+  name: "Varsayılan",
+  currency: "TRY",
+  openingFee: 50,
+  perKm: 30,
+  perWaitingMinute: 5,
+  minimumFare: 150,
+  nightMultiplier: 1.5,
+  nightStartHour: 0,
+  nightEndHour: 6,
+  holidayMultiplier: 1,
+  holidays: [],
+};
+
+export function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function localParts(at) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: FARE_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(at);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return { date: `${get("year")}-${get("month")}-${get("day")}`, hour: Number(get("hour")) };
+}
+
+// nightStartHour > nightEndHour ise gece yarısını aşar (ör. 22 -> 6)
+function isNight(hour, start, end) {
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+export function calculateFare(tariff, { distanceKm = 0, waitingMinutes = 0, at = new Date() }) {
+  const { date, hour } = localParts(at);
+  const holidays = Array.isArray(tariff.holidays) ? tariff.holidays : [];
+
+  const night = isNight(hour, tariff.nightStartHour, tariff.nightEndHour);
+  const holiday = holidays.includes(date);
+
+  // Gece ve bayram çakışırsa büyük olan çarpan geçerli (üst üste binmez)
+  const multiplier = Math.max(
+    1,
+    night ? tariff.nightMultiplier : 1,
+    holiday ? tariff.holidayMultiplier : 1
+  );
+
+  const distanceFee = roundMoney(tariff.perKm * Math.max(distanceKm, 0));
+  const waitingFee = roundMoney(tariff.perWaitingMinute * Math.max(waitingMinutes, 0));
+  const subtotal = roundMoney((tariff.openingFee + distanceFee + waitingFee) * multiplier);
+  const total = roundMoney(Math.max(subtotal, tariff.minimumFare));
+
+  return {
+    total,
+    currency: tariff.currency,
+    breakdown: {
+      tariffId: tariff.id,
+      distanceKm: roundMoney(distanceKm),
+      waitingMinutes: roundMoney(waitingMinutes),
+      openingFee: tariff.openingFee,
+      distanceFee,
+      waitingFee,
+      multiplier,
+      night,
+      holiday,
+      minimumApplied: total > subtotal,
+    },
+  };
+}
+
+// Ride için tarife: region eşleşmesi > isDefault > DEFAULT_TARIFF
+export function pickTariff(tariffs, { region }) {
+  const active = tariffs.filter((t) => t.isActive);
+  const r = normRegion(region);
+  return (
+    (r && active.find((t) => t.region === r)) ||
+    active.find((t) => t.isDefault) ||
+    DEFAULT_TARIFF
+  );
+}
+
+const MONEY_FIELDS = ["openingFee", "perKm", "perWaitingMinute", "minimumFare"];
+const MULTIPLIER_FIELDS = ["nightMultiplier", "holidayMultiplier"];
+const HOUR_FIELDS = ["nightStartHour", "nightEndHour"];
+
+// Admin API body'sini doğrular. partial=true ise sadece gönderilen alanlar (PATCH).
+export function parseTariffInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const data = {};
+
+  if (!partial || b.name !== undefined) {
+    const name = (b.name ?? "").toString().trim();
+    if (!name) return { error: "name gerekli." };
+    data.name = name;
+  }
+
+  for (const key of MONEY_FIELDS) {
+    if (b[key] === undefined) {
+      if (!partial && (key === "openingFee" || key === "perKm")) return { error: `${key} gerekli.` };
+      continue;
+    }
+    const n = Number(b[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} 0 veya pozitif sayı olmalı.` };
+    data[key] = n;
+  }
+
+  for (const key of MULTIPLIER_FIELDS) {
+    if (b[key] === undefined) continue;
+    const n = Number(b[key]);
+    if (!Number.isFinite(n) || n < 1 || n > 5) return { error: `${key} 1-5 arası olmalı.` };
+    data[key] = n;
+  }
+
+  for (const key of HOUR_FIELDS) {
+    if (b[key] === undefined) continue;
+    const n = Number(b[key]);
+    if (!Number.isInteger(n) || n < 0 || n > 23) return { error: `${key} 0-23 arası olmalı.` };
+    data[key] = n;
+  }
+
+  if (b.holidays !== undefined) {
+    const days = Array.isArray(b.holidays) ? b.holidays.map(String) : null;
+    if (!days || !days.every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      return { error: "holidays YYYY-MM-DD tarihlerinden oluşan bir dizi olmalı." };
+    }
+    data.holidays = days;
+  }
+
+  if (b.currency !== undefined) {
+    const c = String(b.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(c)) return { error: "currency 3 harfli kod olmalı (ör. TRY)." };
+    data.currency = c;
+  }
+
+  if (b.region !== undefined) data.region = normRegion(b.region);
+  if (b.isDefault !== undefined) data.isDefault = Boolean(b.isDefault);
+  if (b.isActive !== undefined) data.isActive = Boolean(b.isActive);
+
+  return { data };
+}
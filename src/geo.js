@@ -0,0 +1,27 @@
+// Ortak konum yardımcıları
+
+export function toRad(x) {
+  return (x * Math.PI) / 180;
+}
+
+// KM cinsinden mesafe (Haversine)
+export function distanceKm(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Sıralı noktalar boyunca toplam kuş uçuşu mesafe: [{ lat, lng }, ...]
+export function pathDistanceKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceKm(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  return total;
+}
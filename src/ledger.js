@@ -0,0 +1,58 @@
+// Çift taraflı kayıt (double-entry). Her LedgerTransaction'ın satırları toplamda 0 olmalı.
+// amount > 0: borç (debit), amount < 0: alacak (credit).
+// Hesaplar:
+//   CUSTOMER (userId)  müşterinin platforma borcu; ücret yazılınca borçlanır, ödenince kapanır
+//   WALLET   (userId)  müşterinin cüzdan bakiyesi; alacak bakiyesi = kullanılabilir para
+//   DRIVER   (driverId) sürücüyle cari hesap; alacak = platform sürücüye borçlu, borç = sürücü platforma borçlu
+//   PLATFORM           komisyon geliri (alacak), promosyon / iade / düzeltme gideri (borç)
+//   PROVIDER           kart sağlayıcısında biriken para (takas hesabı)
+import { roundMoney } from "./fare.js";
+
+export const LEDGER_ACCOUNT_TYPES = new Set(["CUSTOMER", "WALLET", "DRIVER", "PLATFORM", "PROVIDER"]);
+export const LEDGER_TRANSACTION_TYPES = new Set([
+  "RIDE_CHARGE",
+  "CANCELLATION_FEE",
+  "PAYMENT",
+  "REFUND",
+  "ADJUSTMENT",
+  "WALLET_TOPUP",
+]);
+
+export const account = {
+  customer: (userId) => ({ accountType: "CUSTOMER", userId }),
+  wallet: (userId) => ({ accountType: "WALLET", userId }),
+  driver: (driverId) => ({ accountType: "DRIVER", driverId }),
+  platform: () => ({ accountType: "PLATFORM" }),
+  provider: () => ({ accountType: "PROVIDER" }),
+};
+
+// entries: [{ accountType, userId?, driverId?, amount }]; 0 tutarlı satırlar atlanır.
+// idempotencyKey verilirse aynı kayıt ikinci kez yazılmaz, mevcut kayıt döner.
+export async function postLedgerTransaction(db, { entries, idempotencyKey = null, ...fields }) {
+  const lines = entries
+    .map((e) => ({ ...e, amount: roundMoney(e.amount) }))
+    .filter((e) => e.amount !== 0);
+  if (lines.length < 2) throw new Error("Ledger kaydı en az iki satır olmalı.");
+
+  const sum = roundMoney(lines.reduce((acc, e) => acc + e.amount, 0));
+  if (sum !== 0) throw new Error(`Ledger kaydı dengede değil (fark: ${sum}).`);
+
+  if (idempotencyKey) {
+    const existing = await db.ledgerTransaction.findUnique({ where: { idempotencyKey }, include: { entries: true } });
+    if (existing) return existing;
+  }
+
+  return db.ledgerTransaction.create({
+    data: { ...fields, idempotencyKey, entries: { create: lines } },
+    include: { entries: true },
+  });
+}
+
+// Hesap bakiyesi (borç - alacak). WALLET / DRIVER için kullanılabilir bakiye -balance'tır.
+export async function accountBalance(db, { accountType, userId = null, driverId = null }) {
+  const where = { accountType };
+  if (userId != null) where.userId = userId;
+  if (driverId != null) where.driverId = driverId;
+  const agg = await db.ledgerEntry.aggregate({ where, _sum: { amount: true } });
+  return roundMoney(agg._sum.amount ?? 0);
+}
@@ -0,0 +1,121 @@
+// Kullanıcıya mesaj gönderimi (OTP vb.). Her kanal bir transport'a bağlıdır;
+// transport sadece send({ to, subject, text }) bilir.
+//   MAIL_TRANSPORT = smtp | console | file
+//   SMS_TRANSPORT  = http | console | file
+// İkisi de açıkça verilmeli. console / file mesajı (OTP dahil) düz metin yazar; NODE_ENV=production'da kabul edilmez.
+// Yapılandırılamayan kanal sunucuyu durdurmaz: açılışta uyarı verilir (issues), gönderimde hata atılır.
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// SMTP_HOST verilirse genel SMTP, yoksa MAIL_USER / MAIL_PASS ile Gmail
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  user = process.env.SMTP_USER || process.env.MAIL_USER,
+  pass = process.env.SMTP_PASS || process.env.MAIL_PASS,
+  from = process.env.MAIL_FROM || process.env.MAIL_USER,
+} = {}) {
+  if (!user || !pass) throw new Error("SMTP için MAIL_USER / MAIL_PASS (veya SMTP_USER / SMTP_PASS) gerekli.");
+
+  const mailer = host
+    ? nodemailer.createTransport({ host, port, secure: port === 465, auth: { user, pass } })
+    : nodemailer.createTransport({ service: "gmail", auth: { user, pass } });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, text }) {
+      await mailer.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+// Sağlayıcıdan bağımsız basit HTTP SMS: POST SMS_API_URL { to, sender, message }
+export function createHttpSmsTransport({
+  url = process.env.SMS_API_URL,
+  apiKey = process.env.SMS_API_KEY,
+  sender = process.env.SMS_SENDER || "SENDEGEL",
+} = {}) {
+  if (!url) throw new Error("SMS için SMS_API_URL gerekli.");
+
+  return {
+    name: "http",
+    async send({ to, text }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ to, sender, message: text }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`SMS gönderilemedi: HTTP ${res.status}`);
+    },
+  };
+}
+
+// Geliştirme: mesajı konsola yaz
+export function createConsoleTransport(channel) {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      console.log(`📨 [${channel}] ${to}${subject ? ` | ${subject}` : ""} | ${text}`);
+    },
+  };
+}
+
+// Geliştirme / test: her mesaj dosyaya bir JSON satırı olarak eklenir
+export function createFileTransport(channel, { file = process.env.NOTIFY_FILE || "storage/outbox.jsonl" } = {}) {
+  return {
+    name: "file",
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      const line = JSON.stringify({ channel, to, subject: subject ?? null, text, at: new Date().toISOString() });
+      await fs.promises.appendFile(file, line + "\n");
+    },
+  };
+}
+
+const DEV_TRANSPORTS = new Set(["console", "file"]);
+
+function pickTransport(channel, kind, { production }) {
+  const envName = channel === "email" ? "MAIL_TRANSPORT" : "SMS_TRANSPORT";
+  const live = channel === "email" ? "smtp" : "http";
+  if (!kind) throw new Error(`${envName} gerekli (${live}; geliştirmede console veya file).`);
+  if (production && DEV_TRANSPORTS.has(kind)) throw new Error(`${envName}=${kind} production'da kullanılamaz.`);
+
+  if (kind === "console") return createConsoleTransport(channel);
+  if (kind === "file") return createFileTransport(channel);
+  if (channel === "email" && kind === "smtp") return createSmtpTransport();
+  if (channel === "sms" && kind === "http") return createHttpSmsTransport();
+  throw new Error(`Bilinmeyen ${channel} transport: ${kind}`);
+}
+
+export function createNotifier({
+  email = process.env.MAIL_TRANSPORT,
+  sms = process.env.SMS_TRANSPORT,
+  production = process.env.NODE_ENV === "production",
+} = {}) {
+  const transports = {};
+  const issues = {};
+  for (const [channel, kind] of [["email", email], ["sms", sms]]) {
+    try {
+      transports[channel] = pickTransport(channel, kind, { production });
+    } catch (err) {
+      issues[channel] = err.message;
+    }
+  }
+
+  // channel: "email" | "sms"
+  const isAvailable = (channel) => Boolean(transports[channel]);
+
+  async function send(channel, message) {
+    if (issues[channel]) throw new Error(`${channel} gönderimi kapalı: ${issues[channel]}`);
+    const transport = transports[channel];
+    if (!transport) throw new Error(`Bilinmeyen kanal: ${channel}`);
+    await transport.send(message);
+  }
+
+  return { send, isAvailable, issues };
+}
@@ -0,0 +1,60 @@
+// Kart ödemeleri için sağlayıcı arayüzü. Uygulama sadece capture/refund'u bilir;
+// gerçek bir sağlayıcı (iyzico, Stripe vb.) eklenecekse aynı arayüzle yeni bir provider yazılır.
+//   capture({ amount, currency, customerId, reference }) -> { ok: true, providerRef } | { ok: false, error }
+//   refund({ providerRef, amount, currency, reference }) -> { ok: true, providerRef } | { ok: false, error }
+// Reddedilen işlem { ok: false } döner; ağ / sağlayıcı hatasında throw edilir (iş tekrar denenir).
+// Sağlayıcı yapılandırılmamışsa { ok: false, unavailable: true } döner (kart işlemleri kapalı, sunucu çalışır).
+// reference idempotency anahtarıdır: aynı reference ile tekrar gelen istek yeni para hareketi yapmamalı,
+// ilk işlemin sonucunu dönmelidir (zaman aşımı sonrası tekrar denemede çift çekim / çift iade olmasın).
+import crypto from "crypto";
+
+// Geliştirme / test: para hareketi yok, her işlem onaylanır.
+// FAKE_PAYMENT_DECLINE=true ile tüm çekimler reddedilir (hata akışını denemek için).
+export function createFakeProvider({ decline = process.env.FAKE_PAYMENT_DECLINE === "true" } = {}) {
+  // reference -> sonuç; aynı reference ile gelen tekrar isteğe ilk sonuç döner
+  const done = new Map();
+  const once = (reference, run) => {
+    if (reference && done.has(reference)) return done.get(reference);
+    const result = run();
+    if (reference && result.ok) done.set(reference, result);
+    return result;
+  };
+
+  return {
+    name: "fake",
+    async capture({ amount, reference }) {
+      if (decline) return { ok: false, error: "Kart reddedildi (fake provider)." };
+      if (!(amount > 0)) return { ok: false, error: "Geçersiz tutar." };
+      return once(reference, () => ({ ok: true, providerRef: `fake_cap_${crypto.randomUUID()}` }));
+    },
+    async refund({ providerRef, amount, reference }) {
+      if (!providerRef) return { ok: false, error: "providerRef gerekli." };
+      if (!(amount > 0)) return { ok: false, error: "Geçersiz tutar." };
+      return once(reference, () => ({ ok: true, providerRef: `fake_ref_${crypto.randomUUID()}` }));
+    },
+  };
+}
+
+// Kart işlemleri kapalıyken kullanılan sağlayıcı: her istek unavailable ile reddedilir
+export function createUnavailableProvider(reason) {
+  const fail = async () => ({ ok: false, unavailable: true, error: "Kartla ödeme şu an kullanılamıyor." });
+  return { name: "none", available: false, reason, capture: fail, refund: fail };
+}
+
+// Kart sağlayıcısı kullanılamıyorsa sebebi, kullanılabiliyorsa null.
+// PAYMENT_PROVIDER açıkça verilmeli (fake); fake para çekmeden onayladığı için NODE_ENV=production'da kabul edilmez.
+export function paymentProviderIssue({
+  driver = process.env.PAYMENT_PROVIDER,
+  production = process.env.NODE_ENV === "production",
+} = {}) {
+  if (!driver) return "PAYMENT_PROVIDER tanımlı değil (geliştirmede PAYMENT_PROVIDER=fake).";
+  if (driver !== "fake") return `Bilinmeyen PAYMENT_PROVIDER: ${driver}`;
+  if (production) return "PAYMENT_PROVIDER=fake production'da kullanılamaz.";
+  return null;
+}
+
+export function createPaymentProvider(options = {}) {
+  const issue = paymentProviderIssue(options);
+  if (issue) return createUnavailableProvider(issue);
+  return { ...createFakeProvider(), available: true };
+}
@@ -0,0 +1,36 @@
+// Telefon numarası: doğrulama ve E.164'e çevirme (+905321234567).
+// Ülke kodu yazılmamışsa Türkiye varsayılır: "0532 123 45 67", "532 123 4567", "+90 (532) 123-45-67" aynı numara.
+
+export const DEFAULT_COUNTRY_CODE = "90";
+
+// TR: 10 haneli ulusal numara; 5xx mobil, 2xx-4xx sabit hat
+const TR_NATIONAL = /^[2-5]\d{9}$/;
+// E.164: ülke kodu dahil en fazla 15 hane, 0 ile başlamaz
+const E164_DIGITS = /^[1-9]\d{7,14}$/;
+
+// Geçersizse null döner
+export function normalizePhone(input) {
+  if (input == null) return null;
+  let s = String(input).trim().replace(/[\s().\-/]/g, "");
+  if (!s) return null;
+
+  if (s.startsWith("00")) s = `+${s.slice(2)}`;
+
+  if (s.startsWith("+")) {
+    const digits = s.slice(1);
+    if (!E164_DIGITS.test(digits)) return null;
+    if (digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+      return TR_NATIONAL.test(digits.slice(2)) ? `+${digits}` : null;
+    }
+    return `+${digits}`;
+  }
+
+  if (!/^\d+$/.test(s)) return null;
+
+  // 90532..., 0532..., 532...
+  let national = s;
+  if (national.length === 12 && national.startsWith(DEFAULT_COUNTRY_CODE)) national = national.slice(2);
+  else if (national.length === 11 && national.startsWith("0")) national = national.slice(1);
+
+  return TR_NATIONAL.test(national) ? `+${DEFAULT_COUNTRY_CODE}${national}` : null;
+}
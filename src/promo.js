@@ -0,0 +1,105 @@
+// Promosyon kodları: yüzde / sabit indirim, geçerlilik aralığı, kullanım limitleri, min. ücret ve bölge.
+// Kullanım sayımı ve rezervasyon server.js'de (transaction + FOR UPDATE); burada sadece kurallar var.
+import { normRegion } from "./dispatch-policy.js";
+import { roundMoney } from "./fare.js";
+
+export const PROMO_TYPES = new Set(["PERCENT", "FIXED"]);
+
+// Kodlar büyük harf, boşluksuz saklanır: " yaz 2026 " -> "YAZ2026"
+export function normPromoCode(input) {
+  const code = (input ?? "").toString().replace(/\s+/g, "").toUpperCase();
+  return /^[A-Z0-9_-]{3,32}$/.test(code) ? code : null;
+}
+
+// Kullanılamıyorsa sebep (mesaj), kullanılabiliyorsa null.
+// fare null ise (tahmin yapılamadı) min. ücret şartı tamamlanmada kontrol edilir.
+export function promoIneligibility(promo, { region = null, fare = null, at = new Date() } = {}) {
+  if (!promo.isActive) return "Promosyon kodu aktif değil.";
+  if (promo.startsAt && at < promo.startsAt) return "Promosyon kodu henüz geçerli değil.";
+  if (promo.endsAt && at > promo.endsAt) return "Promosyon kodunun süresi dolmuş.";
+  if (promo.region && promo.region !== normRegion(region)) return "Promosyon kodu bu bölgede geçerli değil.";
+  if (promo.maxUses != null && promo.usedCount >= promo.maxUses) return "Promosyon kodunun kullanım limiti doldu.";
+  if (promo.minFare != null && fare != null && fare < promo.minFare) {
+    return `Promosyon kodu en az ${promo.minFare} tutarındaki yolculuklarda geçerli.`;
+  }
+  return null;
+}
+
+// Ücrete uygulanacak indirim; ücretin kendisini geçmez, min. ücret tutmuyorsa 0
+export function promoDiscount(promo, fare) {
+  if (!(fare > 0)) return 0;
+  if (promo.minFare != null && fare < promo.minFare) return 0;
+
+  let discount = promo.type === "PERCENT" ? (fare * promo.value) / 100 : promo.value;
+  if (promo.maxDiscount != null) discount = Math.min(discount, promo.maxDiscount);
+  return roundMoney(Math.min(discount, fare));
+}
+
+function parseDate(v) {
+  if (v === null || v === "") return { value: null };
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? { error: true } : { value: d };
+}
+
+export function parsePromoInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const data = {};
+
+  if (!partial || b.code !== undefined) {
+    const code = normPromoCode(b.code);
+    if (!code) return { error: "code 3-32 karakter olmalı (harf, rakam, - ve _)." };
+    data.code = code;
+  }
+
+  if (!partial || b.type !== undefined) {
+    const type = String(b.type ?? "").toUpperCase();
+    if (!PROMO_TYPES.has(type)) return { error: "type PERCENT veya FIXED olmalı." };
+    data.type = type;
+  }
+
+  if (!partial || b.value !== undefined) {
+    const n = Number(b.value);
+    if (!Number.isFinite(n) || n <= 0) return { error: "value pozitif sayı olmalı." };
+    data.value = n;
+  }
+  if (data.type === "PERCENT" && data.value > 100) return { error: "Yüzde indirim 100'ü geçemez." };
+
+  for (const key of ["maxDiscount", "minFare"]) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(b[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} 0 veya pozitif sayı olmalı.` };
+    data[key] = n;
+  }
+
+  for (const key of ["maxUses", "maxUsesPerUser"]) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(b[key]);
+    if (!Number.isInteger(n) || n < 1) return { error: `${key} pozitif tam sayı olmalı.` };
+    data[key] = n;
+  }
+
+  for (const key of ["startsAt", "endsAt"]) {
+    if (b[key] === undefined) continue;
+    const parsed = parseDate(b[key]);
+    if (parsed.error) return { error: `${key} geçerli bir tarih olmalı.` };
+    data[key] = parsed.value;
+  }
+  if (data.startsAt && data.endsAt && data.startsAt >= data.endsAt) {
+    return { error: "endsAt, startsAt'ten sonra olmalı." };
+  }
+
+  if (b.description !== undefined) data.description = (b.description ?? "").toString().trim() || null;
+  if (b.region !== undefined) data.region = normRegion(b.region);
+  if (b.firstRideOnly !== undefined) data.firstRideOnly = Boolean(b.firstRideOnly);
+  if (b.isActive !== undefined) data.isActive = Boolean(b.isActive);
+
+  return { data };
+}
@@ -0,0 +1,42 @@
+// RANKED dispatch için sürücü puanlama.
+// Puan 0-1 arası: yakınlık + son dönem kabul oranı + boşta kalma süresi.
+
+export const RANK_WEIGHTS = { distance: 0.6, acceptance: 0.25, idle: 0.15 };
+
+// Boşta kalma puanı bu süreye kadar artar (dakika)
+const IDLE_CAP_MINUTES = 60;
+
+// candidates: [{ id, distanceKm }] -> puana göre sıralı [{ id, distanceKm, score }]
+// stats: Map<driverId, { accepted, total, lastAcceptedAt }>
+export function rankCandidates(candidates, { radiusKm, stats, now = new Date() }) {
+  const scored = candidates.map((d) => {
+    const s = stats.get(d.id) || { accepted: 0, total: 0, lastAcceptedAt: null };
+
+    // Konum bilinmiyorsa (pickup koordinatsız) mesafe nötr sayılır
+    const distanceScore =
+      d.distanceKm == null ? 0.5 : 1 - Math.min(d.distanceKm / radiusKm, 1);
+
+    // Az veriyle uç değerlere gitmesin diye (accepted + 1) / (total + 2)
+    const acceptanceRate = (s.accepted + 1) / (s.total + 2);
+
+    const idleMinutes = s.lastAcceptedAt
+      ? (now.getTime() - new Date(s.lastAcceptedAt).getTime()) / 60000
+      : IDLE_CAP_MINUTES;
+    const idleScore = Math.min(Math.max(idleMinutes, 0) / IDLE_CAP_MINUTES, 1);
+
+    const score =
+      RANK_WEIGHTS.distance * distanceScore +
+      RANK_WEIGHTS.acceptance * acceptanceRate +
+      RANK_WEIGHTS.idle * idleScore;
+
+    return { ...d, score: Math.round(score * 10000) / 10000 };
+  });
+
+  // Yüksek puan önce; eşitlikte yakın olan önce
+  return scored.sort((a, b) => b.score - a.score || (a.distanceKm ?? 0) - (b.distanceKm ?? 0));
+}
+
+// Dalga boyutu: [1, 3] => 1. dalga 1 sürücü, sonrakiler 3'er sürücü (son değer tekrar eder)
+export function waveSize(waveSizes, wave) {
+  return waveSizes[Math.min(wave, waveSizes.length) - 1];
+}
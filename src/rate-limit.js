@@ -0,0 +1,158 @@
+// Rate limiting + kademeli hesap kilidi.
+// Sayaçlar bir store'da tutulur; tek instance için memory, birden fazla instance için Postgres.
+// Store arayüzü:
+//   increment(key, windowMs) -> { count, resetAt }   (pencere dolmuşsa 1'den başlar)
+//   get(key)                 -> { count, resetAt } | null
+//   put(key, count, resetAt)
+//   remove(key)
+
+export function createMemoryStore({ pruneMs = 60000 } = {}) {
+  const buckets = new Map(); // key -> { count, resetAt }
+
+  const live = (b, now) => b && b.resetAt.getTime() > now;
+
+  // Süresi dolan sayaçları temizle (process'i ayakta tutmasın)
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, b] of buckets) if (!live(b, now)) buckets.delete(key);
+  }, pruneMs);
+  timer.unref?.();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let b = buckets.get(key);
+      if (!live(b, now)) {
+        b = { count: 0, resetAt: new Date(now + windowMs) };
+        buckets.set(key, b);
+      }
+      b.count += 1;
+      return { ...b };
+    },
+    async get(key) {
+      const b = buckets.get(key);
+      return live(b, Date.now()) ? { ...b } : null;
+    },
+    async put(key, count, resetAt) {
+      buckets.set(key, { count, resetAt });
+    },
+    async remove(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+// RateLimitBucket tablosu; artırma tek SQL ile atomik (instance'lar arası yarış yok)
+export function createPostgresStore({ prisma, pruneMs = 5 * 60000 }) {
+  const timer = setInterval(() => {
+    prisma.rateLimitBucket
+      .deleteMany({ where: { resetAt: { lte: new Date() } } })
+      .catch((err) => console.error("rate limit prune error:", err));
+  }, pruneMs);
+  timer.unref?.();
+
+  return {
+    async increment(key, windowMs) {
+      const rows = await prisma.$queryRaw`
+        INSERT INTO "RateLimitBucket" ("key", "count", "resetAt")
+        VALUES (${key}, 1, NOW() + ${windowMs}::int * INTERVAL '1 millisecond')
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN "RateLimitBucket"."resetAt" <= NOW() THEN 1 ELSE "RateLimitBucket"."count" + 1 END,
+          "resetAt" = CASE WHEN "RateLimitBucket"."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE "RateLimitBucket"."resetAt" END
+        RETURNING "count", "resetAt"
+      `;
+      return { count: rows[0].count, resetAt: rows[0].resetAt };
+    },
+    async get(key) {
+      const b = await prisma.rateLimitBucket.findUnique({ where: { key } });
+      return b && b.resetAt > new Date() ? { count: b.count, resetAt: b.resetAt } : null;
+    },
+    async put(key, count, resetAt) {
+      await prisma.rateLimitBucket.upsert({
+        where: { key },
+        create: { key, count, resetAt },
+        update: { count, resetAt },
+      });
+    },
+    async remove(key) {
+      await prisma.rateLimitBucket.deleteMany({ where: { key } });
+    },
+  };
+}
+
+export function retryAfterSeconds(resetAt, now = Date.now()) {
+  return Math.max(1, Math.ceil((new Date(resetAt).getTime() - now) / 1000));
+}
+
+export function sendTooMany(res, retryAfter, message = "Çok fazla istek. Lütfen biraz sonra tekrar deneyin.") {
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, message, retryAfter });
+}
+
+// rules: [{ name, max, windowSeconds, key: (req) => string | null }]
+// key null dönerse kural atlanır (ör. body'de telefon yok). Store hatasında istek geçer (fail-open).
+export function createRateLimiter({ store }) {
+  return function limit(rules) {
+    return async (req, res, next) => {
+      try {
+        for (const rule of rules) {
+          const k = rule.key(req);
+          if (k == null || k === "") continue;
+
+          const { count, resetAt } = await store.increment(`rl:${rule.name}:${k}`, rule.windowSeconds * 1000);
+          if (count > rule.max) return sendTooMany(res, retryAfterSeconds(resetAt));
+        }
+      } catch (err) {
+        console.error("rate limit error:", err);
+      }
+      next();
+    };
+  };
+}
+
+// Hatalı şifre denemelerinde kademeli kilit: threshold'dan sonraki her hata kilidi ikiye katlar.
+// Varsayılan: 5 hatadan sonra 1 dk, 2 dk, 4 dk ... en fazla 1 saat. Başarılı girişte sıfırlanır.
+export function createLockout({
+  store,
+  threshold = 5,
+  baseLockSeconds = 60,
+  maxLockSeconds = 3600,
+  // Hata sayacı bu süre boyunca yeni hata gelmezse sıfırlanır
+  failureWindowSeconds = 24 * 3600,
+}) {
+  // Kilitliyse kalan saniye, değilse 0
+  async function check(key) {
+    try {
+      const lock = await store.get(`lock:${key}`);
+      return lock ? retryAfterSeconds(lock.resetAt) : 0;
+    } catch (err) {
+      console.error("lockout check error:", err);
+      return 0;
+    }
+  }
+
+  // Hata kaydeder; kilit oluştuysa kilit süresini (sn) döner
+  async function fail(key) {
+    try {
+      const { count } = await store.increment(`fail:${key}`, failureWindowSeconds * 1000);
+      if (count < threshold) return 0;
+
+      const seconds = Math.min(baseLockSeconds * 2 ** (count - threshold), maxLockSeconds);
+      await store.put(`lock:${key}`, count, new Date(Date.now() + seconds * 1000));
+      return seconds;
+    } catch (err) {
+      console.error("lockout fail error:", err);
+      return 0;
+    }
+  }
+
+  async function succeed(key) {
+    try {
+      await Promise.all([store.remove(`fail:${key}`), store.remove(`lock:${key}`)]);
+    } catch (err) {
+      console.error("lockout reset error:", err);
+    }
+  }
+
+  return { check, fail, succeed };
+}
@@ -0,0 +1,71 @@
+// SSE (Server-Sent Events) tabanlı basit yayın merkezi.
+// Kanallar "driver:12", "ride:34" gibi string anahtarlardır.
+// Not: Yayın process içidir; birden fazla instance çalışırsa her instance kendi bağlantılarına yayın yapar.
+
+export function createSseHub({ heartbeatMs = 25000 } = {}) {
+  const channels = new Map(); // channel -> Set<res>
+  const cleanups = new Map(); // res -> bağlantıyı kanaldan çıkaran fonksiyon
+
+  function write(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function subscribe(channel, req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Render / nginx proxy'lerinde buffer'lamayı kapat
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    let set = channels.get(channel);
+    if (!set) {
+      set = new Set();
+      channels.set(channel, set);
+    }
+    set.add(res);
+
+    // Bağlantı boşta kalınca proxy kesmesin diye yorum satırı gönderiyoruz
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      cleanups.delete(res);
+      set.delete(res);
+      if (set.size === 0 && channels.get(channel) === set) channels.delete(channel);
+    };
+    cleanups.set(res, cleanup);
+    req.on("close", cleanup);
+
+    return { send: (event, data) => write(res, event, data) };
+  }
+
+  function publish(channel, event, data) {
+    const set = channels.get(channel);
+    if (!set) return 0;
+    for (const res of set) write(res, event, data);
+    return set.size;
+  }
+
+  function hasSubscribers(channel) {
+    return channels.has(channel);
+  }
+
+  // Kanaldaki bağlantıları sunucu tarafından kapatır (ör. oturum iptal edildi).
+  // EventSource yeniden bağlanmayı dener; yetkisi kalmadıysa auth'ta düşer.
+  function disconnect(channel) {
+    const set = channels.get(channel);
+    if (!set) return 0;
+    const count = set.size;
+    for (const res of [...set]) {
+      cleanups.get(res)?.();
+      res.end();
+    }
+    return count;
+  }
+
+  return { subscribe, publish, hasSubscribers, disconnect };
+}
@@ -0,0 +1,71 @@
+// Ride yaşam döngüsü: hangi status'tan hangisine geçilebilir ve geçişte hangi zaman damgası basılır.
+
+export const RIDE_TRANSITIONS = {
+  // OPEN eski kayıtlar için duruyor
+  OPEN: ["SEARCHING", "CANCELED", "FAILED"],
+  // İleri tarihli: dispatch başlayınca SEARCHING, önceden kabul eden sürücü varsa direkt ACCEPTED
+  SCHEDULED: ["SEARCHING", "ACCEPTED", "CANCELED"],
+  SEARCHING: ["ACCEPTED", "CANCELED", "FAILED"],
+  ACCEPTED: ["ARRIVING", "CANCELED"],
+  ARRIVING: ["IN_PROGRESS", "CANCELED"],
+  IN_PROGRESS: ["COMPLETED"],
+  COMPLETED: [],
+  CANCELED: [],
+  FAILED: [],
+};
+
+export const TERMINAL_RIDE_STATUSES = ["COMPLETED", "CANCELED", "FAILED"];
+
+// Sürücünün konumunun müşteriye aktığı, sürücünün meşgul sayıldığı durumlar
+export const ACTIVE_RIDE_STATUSES = ["ACCEPTED", "ARRIVING", "IN_PROGRESS"];
+
+export const TRANSITION_TIMESTAMPS = {
+  ACCEPTED: "acceptedAt",
+  ARRIVING: "arrivedAt",
+  IN_PROGRESS: "startedAt",
+  COMPLETED: "completedAt",
+  CANCELED: "canceledAt",
+};
+
+export function canTransition(from, to) {
+  return (RIDE_TRANSITIONS[from] || []).includes(to);
+}
+
+// Müşteriye gösterilen zaman çizelgesi: sadece listedeki olaylar ve payload alanları.
+// Teklif olaylarında sürücü bilgisi yerine sadece sayı ("count") döner; reddetmeler hiç gösterilmez.
+const CUSTOMER_RIDE_EVENT_FIELDS = {
+  RIDE_CREATED: ["status", "scheduledAt", "stops", "paymentMethod", "estimatedFare", "promoCode"],
+  RIDE_UPDATED: ["changed", "scheduledAt"],
+  STATUS_CHANGED: ["from", "to", "cancelReason", "cancellationFee", "finalFare", "discountAmount"],
+  PHASE_STARTED: ["phase", "radiusKm"],
+  OFFERS_SENT: ["phase", "count"],
+  OFFERS_EXPIRED: ["reason", "count"],
+  NO_DRIVERS_FOUND: ["phase"],
+  OFFER_ACCEPTED: [],
+  PRE_ASSIGNED: [],
+  PRE_ASSIGNMENT_RELEASED: ["reason"],
+  STOP_REACHED: ["position", "remaining"],
+  PAYMENT_STATUS: ["from", "to", "method", "amount"],
+};
+
+// Müşteriye gösterilmeyecekse null. Sürücü / admin kimliği (actorId) gizlenir.
+export function redactRideEventForCustomer(event) {
+  const fields = CUSTOMER_RIDE_EVENT_FIELDS[event.type];
+  if (!fields) return null;
+
+  const source = event.payload || {};
+  const payload = {};
+  for (const key of fields) {
+    if (key === "count") payload.count = Array.isArray(source.offers) ? source.offers.length : 0;
+    else if (source[key] !== undefined) payload[key] = source[key];
+  }
+
+  return {
+    id: event.id,
+    type: event.type,
+    actorType: event.actorType,
+    actorId: event.actorType === "CUSTOMER" ? event.actorId : null,
+    payload,
+    createdAt: event.createdAt,
+  };
+}
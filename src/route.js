@@ -0,0 +1,95 @@
+// Yolculuk rotası: GPS noktalarından gidilen mesafe ve GeoJSON / GPX çıktısı.
+import { distanceKm } from "./geo.js";
+
+// Bu hızın üstündeki sıçramalar GPS hatası sayılır (km/saat)
+const MAX_SPEED_KMH = 200;
+
+// points: recordedAt'e göre sıralı [{ lat, lng, recordedAt }]
+export function travelledDistanceKm(points) {
+  let total = 0;
+  let prev = null;
+
+  for (const p of points) {
+    if (prev) {
+      const km = distanceKm(prev.lat, prev.lng, p.lat, p.lng);
+      const hours = (new Date(p.recordedAt) - new Date(prev.recordedAt)) / 3600000;
+
+      // Sıçrama: noktayı atla, bir önceki geçerli noktadan devam et
+      if (hours > 0 && km / hours > MAX_SPEED_KMH) continue;
+      total += km;
+    }
+    prev = p;
+  }
+
+  return Math.round(total * 1000) / 1000;
+}
+
+// Ardışık aynı rideStatus'taki noktaları tek segmentte topla
+export function routeSegments(points) {
+  const segments = [];
+  for (const p of points) {
+    const last = segments[segments.length - 1];
+    if (last && last.rideStatus === p.rideStatus) last.points.push(p);
+    else segments.push({ rideStatus: p.rideStatus, points: [p] });
+  }
+  return segments;
+}
+
+export function toGeoJSON(ride, segments) {
+  return {
+    type: "FeatureCollection",
+    features: segments.map((seg) => ({
+      type: "Feature",
+      // Tek noktalı segment geçerli bir LineString değil (en az 2 konum gerekir); Point olarak verilir
+      geometry:
+        seg.points.length === 1
+          ? { type: "Point", coordinates: [seg.points[0].lng, seg.points[0].lat] }
+          : { type: "LineString", coordinates: seg.points.map((p) => [p.lng, p.lat]) },
+      properties: {
+        rideId: ride.id,
+        rideStatus: seg.rideStatus,
+        coordTimes: seg.points.map((p) => new Date(p.recordedAt).toISOString()),
+        distanceKm: travelledDistanceKm(seg.points),
+      },
+    })),
+    properties: {
+      rideId: ride.id,
+      travelledDistanceKm: ride.travelledDistanceKm ?? null,
+      startedAt: ride.startedAt ?? null,
+      completedAt: ride.completedAt ?? null,
+    },
+  };
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function toGpx(ride, segments) {
+  const trksegs = segments
+    .map((seg) => {
+      const pts = seg.points
+        .map(
+          (p) =>
+            `      <trkpt lat="${p.lat}" lon="${p.lng}"><time>${new Date(p.recordedAt).toISOString()}</time></trkpt>`
+        )
+        .join("\n");
+      return `    <trkseg>\n      <!-- ${escapeXml(seg.rideStatus)} -->\n${pts}\n    </trkseg>`;
+    })
+    .join("\n");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="SendeGel" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <trk>`,
+    `    <name>${escapeXml(`Ride #${ride.id}`)}</name>`,
+    trksegs,
+    `  </trk>`,
+    `</gpx>`,
+    ``,
+  ].join("\n");
+}
@@ -0,0 +1,130 @@
+// DB tabanlı zamanlayıcı: işler ScheduledJob tablosunda durur.
+// setTimeout'un aksine restart/deploy sonrası vadesi geçmiş işler kaldığı yerden çalışır.
+
+export function createJobScheduler({
+  prisma,
+  handlers,
+  pollMs = 1000,
+  staleLockMs = 30000,
+  maxAttempts = 3,
+}) {
+  let timer = null;
+  let ticking = false;
+
+  // key verilirse aynı iş tekrar planlanmaz, mevcut kayıt güncellenir (ör. yeniden zamanlama)
+  async function schedule(type, { runAt, payload = null, key = null, rideRequestId = null }) {
+    const data = {
+      type,
+      runAt,
+      payload,
+      rideRequestId,
+      status: "PENDING",
+      attempts: 0,
+      lastError: null,
+      lockedAt: null,
+    };
+
+    if (key) {
+      return prisma.scheduledJob.upsert({
+        where: { key },
+        create: { ...data, key },
+        update: data,
+      });
+    }
+    return prisma.scheduledJob.create({ data });
+  }
+
+  // Bekleyen işi hemen çalışacak şekilde öne çeker (çalışan / bitmiş işe dokunmaz); hata olursa normal retry uygulanır
+  async function runNow(where) {
+    return prisma.scheduledJob.updateMany({
+      where: { ...where, status: "PENDING" },
+      data: { runAt: new Date() },
+    });
+  }
+
+  async function cancel(where) {
+    return prisma.scheduledJob.updateMany({
+      where: { ...where, status: "PENDING" },
+      data: { status: "CANCELED" },
+    });
+  }
+
+  // Birden fazla instance aynı işi almasın: PENDING -> RUNNING geçişini kazanan çalıştırır
+  async function claim(job) {
+    const claimed = await prisma.scheduledJob.updateMany({
+      where: { id: job.id, status: "PENDING" },
+      data: { status: "RUNNING", lockedAt: new Date(), attempts: { increment: 1 } },
+    });
+    return claimed.count === 1;
+  }
+
+  async function runJob(job) {
+    try {
+      const handler = handlers[job.type];
+      if (!handler) throw new Error(`Bilinmeyen job tipi: ${job.type}`);
+
+      await handler(job.payload || {}, job);
+
+      // Handler işi kendisi yeniden planladıysa (PENDING) dokunmuyoruz
+      await prisma.scheduledJob.updateMany({
+        where: { id: job.id, status: "RUNNING" },
+        data: { status: "DONE", lockedAt: null },
+      });
+    } catch (err) {
+      console.error(`job ${job.type}#${job.id} error:`, err);
+
+      const attempts = job.attempts + 1;
+      const retry = attempts < maxAttempts;
+      await prisma.scheduledJob.updateMany({
+        where: { id: job.id, status: "RUNNING" },
+        data: {
+          status: retry ? "PENDING" : "FAILED",
+          runAt: retry ? new Date(Date.now() + attempts * 5000) : undefined,
+          lastError: String(err),
+          lockedAt: null,
+        },
+      });
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      // Çalışırken process ölürse RUNNING'de kalan işleri geri al
+      await prisma.scheduledJob.updateMany({
+        where: { status: "RUNNING", lockedAt: { lte: new Date(Date.now() - staleLockMs) } },
+        data: { status: "PENDING", lockedAt: null },
+      });
+
+      const due = await prisma.scheduledJob.findMany({
+        where: { status: "PENDING", runAt: { lte: new Date() } },
+        orderBy: { runAt: "asc" },
+        take: 50,
+      });
+
+      for (const job of due) {
+        if (await claim(job)) await runJob(job);
+      }
+    } catch (err) {
+      console.error("scheduler tick error:", err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollMs);
+    timer.unref?.();
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { schedule, runNow, cancel, start, stop, tick };
+}
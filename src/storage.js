@@ -0,0 +1,49 @@
+// Dosya depolama (sürücü belgeleri vb.). Uygulama sadece put/get/remove'u bilir;
+// S3 gibi başka bir depo eklenecekse aynı arayüzle yeni bir driver yazılır.
+import fs from "fs";
+import path from "path";
+
+// Local disk: dosyalar root altında key yoluyla saklanır. Static serve EDİLMEZ (belgeler kişisel veri).
+export function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  function fullPath(key) {
+    const p = path.resolve(base, key);
+    // "../" ile root dışına çıkılmasın
+    if (!p.startsWith(base + path.sep)) throw new Error(`Geçersiz storage key: ${key}`);
+    return p;
+  }
+
+  async function put(key, buffer) {
+    const p = fullPath(key);
+    await fs.promises.mkdir(path.dirname(p), { recursive: true });
+    await fs.promises.writeFile(p, buffer);
+    return { key, size: buffer.length };
+  }
+
+  // Dosya yoksa null
+  async function get(key) {
+    const p = fullPath(key);
+    try {
+      await fs.promises.access(p);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(p);
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(fullPath(key), { force: true });
+  }
+
+  return { put, get, remove };
+}
+
+// STORAGE_DRIVER=local (varsayılan), STORAGE_ROOT=storage
+export function createStorage({
+  driver = process.env.STORAGE_DRIVER || "local",
+  root = process.env.STORAGE_ROOT || "storage",
+} = {}) {
+  if (driver === "local") return createLocalStorage({ root });
+  throw new Error(`Bilinmeyen STORAGE_DRIVER: ${driver}`);
+}